@@ -18,6 +18,8 @@
  * @copyright 2017 Marcus Green
  * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
+import {getDelimiters, findGaps, stripDelimiters} from 'tiny_gapfill/tokenizer';
+import {readSettings, findSettings, saveSettings} from 'tiny_gapfill/itemsettings';
 /**
  * Interface for item settings
  * @typedef {Object} ItemSettings
@@ -26,6 +28,11 @@
  * @property {string} correctfeedback - Feedback for correct answers
  * @property {string} incorrectfeedback - Feedback for incorrect answers
  * @property {string} gaptext - The gap text without delimiters
+ * @property {number} instance - Number of earlier gaps with the same text, together with gaptext this identifies the gap
+ * @property {number} [weight] - How much the gap counts towards the mark, 1 if not set
+ * @property {boolean} [casesensitive] - Whether the gap is marked case sensitively even if the question is not
+ * @property {number} [width] - Width of the student input in characters, automatic if not set
+ * @property {Array<string>} [hints] - Hints given one after another in interactive mode
  */
 /**
  * Interface for feedback
@@ -33,24 +40,6 @@
  * @property {string} correct - Correct feedback HTML
  * @property {string} incorrect - Incorrect feedback HTML
  */
-/**
- * Pull data from hidden settings field on form
- * @returns {Array<ItemSettings>} Array of settings
- */
-const getSettings = () => {
-    const settings = [];
-    const settingsInput = document.querySelector("[name='itemsettings']");
-    const settingsdata = settingsInput?.value || "";
-    if (settingsdata > "") {
-        const obj = JSON.parse(settingsdata);
-        for (const o in obj) {
-            if (Object.prototype.hasOwnProperty.call(obj, o)) {
-                settings.push(obj[o]);
-            }
-        }
-    }
-    return settings;
-};
 /**
  * Converts a NodeList/HTMLCollection to a true Array.
  * @param {NodeList|HTMLCollection} obj
@@ -61,93 +50,85 @@ const toArray = (obj) => {
 };
 // --- Exported Utility Method ---
 /**
- * Recursively wraps text nodes containing gaps (delimited content) with span elements.
- * These spans are given unique IDs for the item settings feature.
+ * Wraps the gaps (delimited content) in an element with span elements, including gaps running
+ * across inline formatting such as "[<b>cat</b>]". These spans are given unique IDs for the item settings feature.
  *
- * @param {HTMLElement} el - The root element to process (e.g., TinyMCE editor body).
- * @param {number} [initialCount=0] - The starting index for item counting.
- * @param {Array<string>} [initialGaps=[]] - The list of previously seen gap texts.
+ * @param {HTMLElement} el - The root element to process (e.g., a copy of the TinyMCE editor body).
  * @returns {void}
  */
-export const wrapContent = (function() {
-    // This private scope helps manage state across recursive calls.
-    let count = 0;
-    let gaps = [];
-    const skipTags = {
-        script: true,
-        button: true,
-        input: true,
-        select: true,
-        textarea: true,
-        option: true,
-    };
-    return function(el) {
-        // Reset counter and array if processing the main canvas/body
-        if (el.id === 'id_itemsettings_canvas' || el.tagName.toLowerCase() === 'body') {
-            count = 0;
-            gaps = [];
+export const wrapContent = (el) => {
+    const delimiterChars = getDelimiters();
+    const doc = el.ownerDocument;
+    // Calculate instance number for repeated gaps and set unique ID for the gap: id[count]_[instance]
+    const instances = new Map();
+    const gaps = findGaps(el, delimiterChars).map((gap, index) => {
+        const instance = instances.get(gap.text) || 0;
+        instances.set(gap.text, instance + 1);
+        return {...gap, itemId: 'id' + (index + 1) + '_' + instance};
+    });
+    // Wrap from the last gap back so the offsets of the earlier gaps still hold.
+    gaps.reverse().forEach(gap => {
+        const first = gap.segments[0];
+        const last = gap.segments[gap.segments.length - 1];
+        const range = doc.createRange();
+        range.setStart(first.node, first.start);
+        range.setEnd(last.node, last.end);
+        const gapSpan = doc.createElement('span');
+        gapSpan.className = 'item gapfill-clickable';
+        gapSpan.id = gap.itemId;
+        // Formatting inside the gap moves into the span, formatting only partly inside it is split at the gap.
+        gapSpan.appendChild(range.extractContents());
+        range.insertNode(gapSpan);
+        // Check for existing feedback to set CSS classes
+        const item = new Item(gap.text, delimiterChars);
+        const itemSettings = item.getItemSettings(gapSpan);
+        if (item.striptags(itemSettings.correctfeedback)) {
+            gapSpan.className += ' hascorrect';
         }
-        const nodes = toArray(el.childNodes);
-        const delimiterChars = document.getElementById('id_delimitchars').value;
-        const leftDelimiter = delimiterChars.substring(0, 1);
-        const rightDelimiter = delimiterChars.substring(1, 2);
-        // Regex to find and split on the delimited gaps: /(\[.*?\])/g
-        const gapRegex = new RegExp('(\\' + leftDelimiter + '.*?\\' + rightDelimiter + ')', 'g');
-        const spanTemplate = document.createElement('span');
-        for (let i = 0, iLen = nodes.length; i < iLen; i++) {
-            const node = nodes[i];
-            if (node.nodeType === 1 && !(node.tagName.toLowerCase() in skipTags)) {
-                // Element node: recurse
-                wrapContent(node);
-            } else if (node.nodeType === 3) {
-                // Text node: process for gaps
-                const textChunks = node.data.split(gapRegex);
-                const fragment = document.createDocumentFragment();
-                for (let j = 0, jLen = textChunks.length; j < jLen; j++) {
-                    const chunk = textChunks[j];
-                    if (!chunk) {
-                        continue;
-                    }
-                    if (gapRegex.test(chunk)) {
-                        // This chunk is a gap: wrap it
-                        const gapSpan = spanTemplate.cloneNode(false);
-                        count++;
-                        gapSpan.className = 'item gapfill-clickable'; // Added gapfill-clickable class
-                        const item = new Item(chunk, delimiterChars);
-                        if (item.gaptext) {
-                            let instance = 0;
-                            // Calculate instance number for repeated gaps
-                            for (let k = 0; k < gaps.length; ++k) {
-                                if (gaps[k] === item.gaptext) {
-                                    instance++;
-                                }
-                            }
-                            // Set unique ID for the gap: id[count]_[instance]
-                            const itemId = 'id' + count + '_' + instance;
-                            gapSpan.id = itemId;
-                            // Check for existing feedback to set CSS classes
-                            const itemSettings = item.getItemSettings(gapSpan);
-                            if (item.striptags(itemSettings.correctfeedback)) {
-                                gapSpan.className += ' hascorrect';
-                            }
-                            if (item.striptags(itemSettings.incorrectfeedback)) {
-                                gapSpan.className += ' hasnocorrect';
-                            }
-                            gaps.push(item.gaptext);
-                        }
-                        gapSpan.appendChild(document.createTextNode(chunk));
-                        fragment.appendChild(gapSpan);
-                    } else {
-                        // This chunk is regular text
-                        fragment.appendChild(document.createTextNode(chunk));
-                    }
-                }
-                // Replace the original text node with the fragment
-                node.parentNode.replaceChild(fragment, node);
-            }
+        if (item.striptags(itemSettings.incorrectfeedback)) {
+            gapSpan.className += ' hasnocorrect';
         }
-    };
-})();
+    });
+};
+/**
+ * Gap found in the question text
+ * @typedef {Object} GapInfo
+ * @property {string} itemid - The id wrapContent gives the gap
+ * @property {string} gaptext - The gap text including delimiters
+ * @property {string} answer - The gap text without delimiters
+ * @property {number} instance - Number of earlier gaps with the same text
+ * @property {boolean} hascorrect - Whether there is feedback for a correct response
+ * @property {boolean} hasincorrect - Whether there is feedback for an incorrect response
+ */
+/**
+ * List the gaps in an element in document order, numbered the way wrapContent numbers them.
+ * The element itself is not changed, a copy of it is wrapped.
+ *
+ * @param {HTMLElement} el - The root element, e.g. the editor body
+ * @returns {Array<GapInfo>} The gaps
+ */
+export const listGaps = (el) => {
+    const canvas = el.cloneNode(true);
+    canvas.id = 'id_itemsettings_canvas';
+    // Gap mode highlighting and linter marks split text nodes, take them out so wrapContent sees the original text.
+    toArray(canvas.querySelectorAll('.gapfill-highlight, .gapfill-lint')).forEach(span => {
+        span.replaceWith(...toArray(span.childNodes));
+    });
+    canvas.normalize();
+    wrapContent(canvas);
+    const delimitchars = getDelimiters();
+    return toArray(canvas.querySelectorAll('span.item[id]')).map(span => {
+        const underscore = span.id.indexOf('_');
+        return {
+            itemid: span.id,
+            gaptext: span.textContent,
+            answer: stripDelimiters(span.textContent, delimitchars),
+            instance: parseInt(span.id.substr(underscore + 1), 10) || 0,
+            hascorrect: span.classList.contains('hascorrect'),
+            hasincorrect: span.classList.contains('hasnocorrect'),
+        };
+    });
+};
 /**
  * Item class for managing gap fill items
  */
@@ -184,14 +165,13 @@ export class Item {
      * Constructor
      * @param {string} text - The gap text, does not include anything outside the dlimiters
      * @param {string} delimitchars - The delimiter characters (e.g., "[]")
-     * @param {string} element - The element that was clicked on
+     * @param {Event} [element] - The click event on the gap, if there was one
      */
     constructor(text, delimitchars, element) {
         const questionIdInput = document.querySelector("input[name=id]");
         this.questionid = questionIdInput?.value || null;
-        //this.itemid = element?.id || null;
-        this.itemid = element.target.id || null;
-        this.settings = getSettings();
+        this.itemid = element?.target?.id || null;
+        this.settings = readSettings();
         this.gaptext = text;
         this.delimitchars = delimitchars;
         // The l and r is for left and right
@@ -230,13 +210,7 @@ export class Item {
      * @returns {string} Gap text without delimiters
      */
     stripdelim() {
-        if (this.startchar === this.l) {
-            this.gaptextNodelim = this.gaptext.substring(1, this.len);
-        }
-        if (this.endchar === this.r) {
-            const len = this.gaptextNodelim.length;
-            this.gaptextNodelim = this.gaptextNodelim.substring(0, len - 1);
-        }
+        this.gaptextNodelim = stripDelimiters(this.gaptext, this.delimitchars);
         return this.gaptextNodelim;
     }
     /**
@@ -248,29 +222,25 @@ export class Item {
         const itemid = target.id;
         const underscore = itemid.indexOf("_");
         // The instance, normally 0 but incremented if a gap has the same text as another
-        // instance is not currently used
         this.instance = parseInt(itemid.substr(underscore + 1), 10) || 0;
-        let itemsettings = {
+        const text = this.stripdelim();
+        const found = findSettings(this.settings, {gaptext: text, instance: this.instance});
+        if (found) {
+            // Found existing settings - merge with itemId
+            return {
+                ...found,
+                itemid: itemid,
+                instance: this.instance
+            };
+        }
+        return {
             itemid: itemid,
             questionid: null,
             correctfeedback: "",
             incorrectfeedback: "",
-            gaptext: ""
+            gaptext: "",
+            instance: this.instance
         };
-        const text = this.stripdelim();
-        for (const set in this.settings) {
-            if (Object.prototype.hasOwnProperty.call(this.settings, set)) {
-                if (this.settings[set].gaptext === text) {
-                    // Found existing settings - merge with itemId
-                    itemsettings = {
-                        ...this.settings[set],
-                        itemid: itemid
-                    };
-                    break;
-                }
-            }
-        }
-        return itemsettings;
     }
     /**
      * Update JSON settings with feedback
@@ -278,34 +248,18 @@ export class Item {
      * @returns {string} JSON stringified settings
      */
     updateJson(e) {
-        let found = false;
-        const id = e.target.id;
         const correctEditableEl = document.getElementById("id_correcteditable");
         const incorrectEditableEl = document.getElementById("id_incorrecteditable");
         const questionIdInput = document.querySelector("input[name=id]");
-        const strippedText = this.stripdelim();
-        // Update existing settings
-        for (const set in this.settings) {
-            if (Object.prototype.hasOwnProperty.call(this.settings, set)) {
-                if (this.settings[set].gaptext === strippedText) {
-                    this.settings[set].correctfeedback = correctEditableEl?.innerHTML || "";
-                    this.settings[set].incorrectfeedback = incorrectEditableEl?.innerHTML || "";
-                    found = true;
-                    break;
-                }
-            }
-        }
-        // If there is no record for this word add one
-        if (!found) {
-            const newItemSettings = {
-                itemid: id,
-                questionid: questionIdInput?.value || null,
-                correctfeedback: correctEditableEl?.innerHTML || "",
-                incorrectfeedback: incorrectEditableEl?.innerHTML || "",
-                gaptext: strippedText
-            };
-            this.settings.push(newItemSettings);
-        }
+        // Add or replace the record for this gap, identified by its text and instance
+        this.settings = saveSettings(this.settings, {
+            itemid: e.target.id,
+            questionid: questionIdInput?.value || null,
+            correctfeedback: correctEditableEl?.innerHTML || "",
+            incorrectfeedback: incorrectEditableEl?.innerHTML || "",
+            gaptext: this.stripdelim(),
+            instance: this.instance
+        });
         return JSON.stringify(this.settings);
     }
 }
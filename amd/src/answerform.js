@@ -0,0 +1,119 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The Answers section shared by the gap dialogs, one row per accepted alternative.
+ *
+ * @module     tiny_gapfill/answerform
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Templates from 'core/templates';
+import {component, createInputRow, loadStrings} from 'tiny_gapfill/common';
+import {parseAnswer, buildAnswer, isValidAlternative} from 'tiny_gapfill/answers';
+
+/**
+ * The language strings used by the answers section.
+ * @type {Array<string>}
+ */
+const stringKeys = ['answer', 'removealternative'];
+
+/**
+ * Add a row for one accepted alternative to the answers section of the gap dialog.
+ * @param {HTMLElement} container - The element holding the alternative rows
+ * @param {string} value - The alternative
+ * @param {Object} strings - The loaded language strings
+ */
+const addAlternativeRow = (container, value, strings) => {
+    container.appendChild(createInputRow({
+        region: 'gapfill-alternative',
+        value,
+        label: strings.answer,
+        removeAction: 'gapfill-remove-alternative',
+        removeLabel: strings.removealternative,
+    }));
+};
+
+/**
+ * Read the answers section of the gap dialog back into gap text.
+ * @param {HTMLElement} root - The modal root element
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @returns {string|null} The gap text without delimiters, or null if an alternative is not allowed
+ */
+export const readAnswers = (root, delimitchars) => {
+    const matchanything = root.querySelector('#gapfill-matchanything').checked;
+    const inputs = [...root.querySelectorAll('[data-region="gapfill-alternative"] input')];
+    let valid = true;
+    inputs.forEach(input => {
+        const ok = matchanything || isValidAlternative(input.value, delimitchars);
+        input.classList.toggle('is-invalid', !ok);
+        valid = valid && ok;
+    });
+    const answer = buildAnswer(inputs.map(input => input.value), matchanything);
+    valid = valid && answer !== '';
+    root.querySelector('[data-region="gapfill-answers"] .invalid-feedback').classList.toggle('d-block', !valid);
+    return valid ? answer : null;
+};
+
+/**
+ * Get the context of the answers section template from the question form.
+ * @returns {Object}
+ */
+export const getAnswersContext = () => ({
+    questioncasesensitive: !!document.getElementById('id_casesensitive')?.checked,
+    regexdisabled: !!document.getElementById('id_disableregex')?.checked,
+});
+
+/**
+ * Render the answers section, to be placed in a modal body.
+ * @returns {Promise<string>} The HTML of the section
+ */
+export const renderAnswersSection = () => Templates.render(`${component}/answers`, getAnswersContext());
+
+/**
+ * Fill in the answers section of a modal and wire up its controls.
+ * @param {Object} modal - The modal containing the section
+ * @param {string} gapText - The gap text without delimiters (e.g., "cat|dog")
+ */
+export const initAnswersSection = async(modal, gapText) => {
+    const strings = await loadStrings(stringKeys);
+    const answer = parseAnswer(gapText);
+    const root = modal.getRoot()[0];
+    const alternativesContainer = root.querySelector('[data-region="gapfill-alternatives"]');
+    const matchAnythingCheckbox = root.querySelector('#gapfill-matchanything');
+    const setMatchAnything = (matchanything) => {
+        matchAnythingCheckbox.checked = matchanything;
+        root.querySelectorAll('[data-region="gapfill-alternatives"] input, [data-region="gapfill-alternatives"] button, ' +
+            '[data-action="gapfill-add-alternative"]').forEach(element => {
+            element.disabled = matchanything;
+        });
+    };
+    (answer.alternatives.length ? answer.alternatives : ['']).forEach(alternative => {
+        addAlternativeRow(alternativesContainer, alternative, strings);
+    });
+    setMatchAnything(answer.matchanything);
+    modal.getRoot().on('click', '[data-action="gapfill-add-alternative"]', () => {
+        addAlternativeRow(alternativesContainer, '', strings);
+        alternativesContainer.lastElementChild.querySelector('input').focus();
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-remove-alternative"]', (e) => {
+        e.currentTarget.closest('[data-region="gapfill-alternative"]').remove();
+        if (!alternativesContainer.children.length) {
+            addAlternativeRow(alternativesContainer, '', strings);
+        }
+    });
+    matchAnythingCheckbox.addEventListener('change', () => setMatchAnything(matchAnythingCheckbox.checked));
+};
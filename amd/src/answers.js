@@ -0,0 +1,154 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Parse and build the answer syntax used between the delimiters of a gap,
+ * e.g. "cat|dog" for alternatives or ".*" to accept anything.
+ *
+ * @module     tiny_gapfill/answers
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Separator between accepted alternatives.
+ * @type {string}
+ */
+export const alternativeSeparator = '|';
+
+/**
+ * The regular expression answer that accepts any response.
+ * @type {string}
+ */
+export const matchAnything = '.*';
+
+/**
+ * Split the text of a gap into its alternatives. A | inside brackets or
+ * parentheses, or escaped with a backslash, belongs to a regular expression
+ * and does not start a new alternative.
+ * @param {string} answer - The gap text without delimiters (e.g., "cat|dog")
+ * @returns {Array<string>} The alternatives (e.g., ["cat", "dog"])
+ */
+export const splitAlternatives = (answer) => {
+    const alternatives = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < answer.length; i++) {
+        const char = answer.charAt(i);
+        if (char === '\\' && i + 1 < answer.length) {
+            current += char + answer.charAt(++i);
+            continue;
+        }
+        if (char === '(' || char === '[') {
+            depth++;
+        } else if ((char === ')' || char === ']') && depth > 0) {
+            depth--;
+        } else if (char === alternativeSeparator && depth === 0) {
+            alternatives.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    alternatives.push(current);
+    return alternatives;
+};
+
+/**
+ * Parse the text of a gap.
+ * @param {string} answer - The gap text without delimiters
+ * @returns {{alternatives: Array<string>, matchanything: boolean}}
+ */
+export const parseAnswer = (answer) => {
+    if (answer === matchAnything) {
+        return {alternatives: [], matchanything: true};
+    }
+    return {alternatives: splitAlternatives(answer), matchanything: false};
+};
+
+/**
+ * Build the text of a gap from its alternatives, dropping blank ones.
+ * @param {Array<string>} alternatives - The accepted answers
+ * @param {boolean} [matchanything=false] - Accept any response instead
+ * @returns {string} The gap text without delimiters
+ */
+export const buildAnswer = (alternatives, matchanything = false) => {
+    if (matchanything) {
+        return matchAnything;
+    }
+    return alternatives
+        .map(alternative => alternative.trim())
+        .filter(alternative => alternative !== '')
+        .join(alternativeSeparator);
+};
+
+/**
+ * Get the text of a gap as the answers section would rebuild it, so that a gap saved
+ * without changes can be told apart from one whose alternatives were edited.
+ * @param {string} answer - The gap text without delimiters (e.g., "cat | dog")
+ * @returns {string} The gap text without blank alternatives or spaces around them (e.g., "cat|dog")
+ */
+export const normaliseAnswer = (answer) => {
+    const {alternatives, matchanything} = parseAnswer(answer);
+    return buildAnswer(alternatives, matchanything);
+};
+
+/**
+ * Check that an alternative can be written into a gap without changing its meaning.
+ * @param {string} alternative - A single accepted answer
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @returns {boolean} False if it contains a delimiter or an alternative separator
+ */
+export const isValidAlternative = (alternative, delimitchars) => {
+    if (alternative.includes(delimitchars.charAt(0)) || alternative.includes(delimitchars.charAt(1))) {
+        return false;
+    }
+    return splitAlternatives(alternative).length === 1;
+};
+
+/**
+ * Check a response against the text of a gap the way the question type marks it.
+ * With regular expressions enabled the whole response must match the answer as a pattern,
+ * otherwise it must equal one of the alternatives.
+ * @param {string} response - What the student entered
+ * @param {string} answer - The gap text without delimiters
+ * @param {Object} options
+ * @param {boolean} options.casesensitive - Whether case matters
+ * @param {boolean} options.regex - Whether answers are regular expressions
+ * @returns {boolean}
+ */
+export const isCorrectResponse = (response, answer, {casesensitive, regex}) => {
+    const given = response.trim();
+    if (regex) {
+        try {
+            return new RegExp('^(?:' + answer + ')$', casesensitive ? '' : 'i').test(given);
+        } catch (e) {
+            // An invalid pattern is compared as plain text below.
+        }
+    }
+    const normalise = (text) => casesensitive ? text.trim() : text.trim().toLowerCase();
+    return splitAlternatives(answer).some(alternative => normalise(alternative) === normalise(given));
+};
+
+export default {
+    alternativeSeparator,
+    matchAnything,
+    splitAlternatives,
+    parseAnswer,
+    buildAnswer,
+    normaliseAnswer,
+    isValidAlternative,
+    isCorrectResponse,
+};
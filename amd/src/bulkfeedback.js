@@ -0,0 +1,183 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Edit the feedback of every gap in one dialog.
+ *
+ * @module     tiny_gapfill/bulkfeedback
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {loadStrings, loadStringList} from 'tiny_gapfill/common';
+import {listGaps} from 'tiny_gapfill/Item';
+import {readSettings, findSettings, saveSettings} from 'tiny_gapfill/itemsettings';
+
+/**
+ * The language strings used by the dialog.
+ * @type {Array<string>}
+ */
+const stringKeys = ['bulkfeedback', 'bulkfeedbackapply', 'bulkfeedbackapplyto', 'bulkfeedbacktext', 'saveall',
+    'selectallgaps', 'gap', 'correctfeedback', 'incorrectfeedback', 'nogaps'];
+
+/**
+ * Create a compact feedback field.
+ * @param {string} field - correctfeedback or incorrectfeedback
+ * @param {string} value - The current feedback
+ * @param {string} label - Accessible label of the field
+ * @returns {HTMLTextAreaElement}
+ */
+const createField = (field, value, label) => {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'form-control form-control-sm';
+    textarea.rows = 2;
+    textarea.dataset.field = field;
+    textarea.value = value || '';
+    textarea.setAttribute('aria-label', label);
+    return textarea;
+};
+
+/**
+ * Build the table row for a gap.
+ * @param {GapInfo} gap - The gap
+ * @param {ItemSettings|undefined} settings - The stored settings of the gap
+ * @param {number} index - Position of the gap in document order
+ * @param {string} selectLabel - Accessible label of the checkbox that selects the gap
+ * @param {Object} strings - The loaded language strings
+ * @returns {HTMLTableRowElement}
+ */
+const createRow = (gap, settings, index, selectLabel, strings) => {
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.className = 'form-check-input position-static m-0';
+    select.dataset.action = 'gapfill-select-gap';
+    select.setAttribute('aria-label', selectLabel);
+    row.insertCell().appendChild(select);
+    row.insertCell().textContent = gap.instance ? `${gap.gaptext} (${gap.instance + 1})` : gap.gaptext;
+    row.insertCell().appendChild(
+        createField('correctfeedback', settings?.correctfeedback, `${strings.correctfeedback}: ${gap.gaptext}`));
+    row.insertCell().appendChild(
+        createField('incorrectfeedback', settings?.incorrectfeedback, `${strings.incorrectfeedback}: ${gap.gaptext}`));
+    return row;
+};
+
+/**
+ * List every gap with its correct and incorrect feedback for editing, and save them all at once.
+ * One feedback text can be applied to several selected gaps.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayBulkFeedback = async(controller) => {
+    const strings = await loadStrings(stringKeys);
+    const gaps = listGaps(controller.editor.getBody());
+    const settings = readSettings();
+    const selectLabels = await loadStringList(gaps.map(gap => ({key: 'selectgap', param: gap.gaptext})));
+
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.bulkfeedback,
+        body: `
+            <div class="form-inline flex-nowrap mb-3">
+                <label class="sr-only" for="gapfill-bulkfeedback-text">${strings.bulkfeedbacktext}</label>
+                <textarea class="form-control mr-2 flex-grow-1" rows="2" id="gapfill-bulkfeedback-text"
+                    placeholder="${strings.bulkfeedbacktext}"></textarea>
+                <label class="sr-only" for="gapfill-bulkfeedback-field">${strings.bulkfeedbackapplyto}</label>
+                <select class="custom-select mr-2" id="gapfill-bulkfeedback-field">
+                    <option value="correctfeedback">${strings.correctfeedback}</option>
+                    <option value="incorrectfeedback">${strings.incorrectfeedback}</option>
+                </select>
+                <button type="button" class="btn btn-secondary" data-action="gapfill-bulkfeedback-apply">
+                    ${strings.bulkfeedbackapply}
+                </button>
+            </div>
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th scope="col">
+                            <input type="checkbox" class="form-check-input position-static m-0"
+                                data-action="gapfill-select-all" aria-label="${strings.selectallgaps}">
+                        </th>
+                        <th scope="col">${strings.gap}</th>
+                        <th scope="col">${strings.correctfeedback}</th>
+                        <th scope="col">${strings.incorrectfeedback}</th>
+                    </tr>
+                </thead>
+                <tbody data-region="gapfill-bulkfeedback"></tbody>
+            </table>
+        `,
+        large: true,
+    });
+    modal.setSaveButtonText(strings.saveall);
+    const root = modal.getRoot()[0];
+    const tbody = root.querySelector('[data-region="gapfill-bulkfeedback"]');
+    if (gaps.length) {
+        gaps.forEach((gap, index) => {
+            const gapSettings = findSettings(settings, {gaptext: gap.answer, instance: gap.instance});
+            tbody.appendChild(createRow(gap, gapSettings, index, selectLabels[index], strings));
+        });
+    } else {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 4;
+        cell.textContent = strings.nogaps;
+    }
+
+    const selectAll = root.querySelector('[data-action="gapfill-select-all"]');
+    selectAll.addEventListener('change', () => {
+        tbody.querySelectorAll('[data-action="gapfill-select-gap"]').forEach(checkbox => {
+            checkbox.checked = selectAll.checked;
+        });
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-bulkfeedback-apply"]', () => {
+        const text = root.querySelector('#gapfill-bulkfeedback-text').value;
+        const field = root.querySelector('#gapfill-bulkfeedback-field').value;
+        tbody.querySelectorAll('[data-action="gapfill-select-gap"]:checked').forEach(checkbox => {
+            checkbox.closest('tr').querySelector(`[data-field="${field}"]`).value = text;
+        });
+    });
+
+    modal.getRoot().on(ModalEvents.save, () => {
+        // Write the whole itemsettings array back in one go.
+        let updated = readSettings();
+        tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const gap = gaps[parseInt(row.dataset.index, 10)];
+            const identity = {gaptext: gap.answer, instance: gap.instance};
+            const existing = findSettings(updated, identity);
+            const correctfeedback = row.querySelector('[data-field="correctfeedback"]').value.trim();
+            const incorrectfeedback = row.querySelector('[data-field="incorrectfeedback"]').value.trim();
+            if (correctfeedback === (existing?.correctfeedback || '') &&
+                    incorrectfeedback === (existing?.incorrectfeedback || '')) {
+                return;
+            }
+            updated = saveSettings(updated, {
+                ...existing,
+                ...identity,
+                itemid: gap.itemid,
+                questionid: document.querySelector('input[name=id]')?.value || null,
+                correctfeedback,
+                incorrectfeedback,
+            });
+        });
+        controller.updateSettings(updated);
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    displayBulkFeedback,
+};
@@ -0,0 +1,621 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Convert question text between gapfill and Moodle Cloze (multianswer) markup such as
+ * {1:SHORTANSWER:=cat~=dog}, or plain text cloze markup such as *cat* from other tools.
+ *
+ * Anything that cannot be converted is reported as a problem rather than silently dropped.
+ *
+ * @module     tiny_gapfill/cloze
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import Notification from 'core/notification';
+import {add as addToast} from 'core/toast';
+import {loadStrings} from 'tiny_gapfill/common';
+import {listGaps} from 'tiny_gapfill/Item';
+import {getDelimiters, findGaps, tokenize, escapeRegExp} from 'tiny_gapfill/tokenizer';
+import {parseAnswer, buildAnswer, isValidAlternative, matchAnything} from 'tiny_gapfill/answers';
+import {parseDistractors} from 'tiny_gapfill/distractors';
+import {
+    readSettings,
+    findSettings,
+    saveSettings,
+    getGapOptions,
+    setGapOptions,
+    getHints,
+    hasGapOptions,
+    defaultGapOptions,
+} from 'tiny_gapfill/itemsettings';
+
+/**
+ * The markup formats that can be converted, with the delimiters of the plain text ones.
+ * @type {Object<string, string|null>}
+ */
+export const formats = {
+    cloze: null,
+    asterisks: '**',
+    braces: '{}',
+    brackets: '[]',
+};
+
+/**
+ * A Cloze embedded question, e.g. {1:SHORTANSWER:=cat~=dog}.
+ * @type {RegExp}
+ */
+const clozePattern = /\{(\d*):([A-Za-z_]+):((?:\\.|[^\\}])*)\}/g;
+
+/**
+ * The Cloze question types, by the name used in the markup.
+ * @type {Object<string, string>}
+ */
+const clozeTypes = {
+    SHORTANSWER: 'shortanswer', SA: 'shortanswer', MW: 'shortanswer',
+    SHORTANSWER_C: 'shortanswer_c', SAC: 'shortanswer_c', MWC: 'shortanswer_c',
+    NUMERICAL: 'numerical', NM: 'numerical',
+    MULTICHOICE: 'multichoice', MC: 'multichoice', MULTICHOICE_V: 'multichoice', MCV: 'multichoice',
+    MULTICHOICE_H: 'multichoice', MCH: 'multichoice', MULTICHOICE_S: 'multichoice', MCS: 'multichoice',
+    MULTICHOICE_VS: 'multichoice', MCVS: 'multichoice', MULTICHOICE_HS: 'multichoice', MCHS: 'multichoice',
+};
+
+/**
+ * Something that could not be converted.
+ * @typedef {Object} ConversionProblem
+ * @property {string} type - The language string describing the problem
+ * @property {string} source - The markup or gap it was found in
+ */
+
+/**
+ * A gap made by importing, with what is stored in its settings.
+ * @typedef {Object} ImportedGap
+ * @property {string} answer - The gap text without delimiters
+ * @property {string} correctfeedback
+ * @property {string} incorrectfeedback
+ * @property {GapOptions} options
+ */
+
+/**
+ * The result of a conversion.
+ * @typedef {Object} Conversion
+ * @property {string} text - The converted question text
+ * @property {Array<ImportedGap>} gaps - For imports, the gaps made in document order
+ * @property {Array<string>} distractors - For imports, wrong answers of multiple choice questions
+ * @property {Array<ConversionProblem>} problems
+ */
+
+/**
+ * Split Cloze markup at a separator that is not escaped with a backslash.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {Array<string>}
+ */
+const splitUnescaped = (text, separator) => {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+        if (char === '\\' && i + 1 < text.length) {
+            current += char + text.charAt(++i);
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+};
+
+/**
+ * Remove the backslashes escaping characters in Cloze markup.
+ * @param {string} text
+ * @returns {string}
+ */
+const unescapeCloze = (text) => text.replace(/\\(.)/g, '$1');
+
+/**
+ * Escape the characters that have a meaning in Cloze markup.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeCloze = (text) => text.replace(/[\\}#~/"]/g, '\\$&');
+
+/**
+ * Read the answers of a Cloze embedded question.
+ * @param {string} markup - The part after the type, e.g. "=cat#Well done~%50%kitten~*#No"
+ * @returns {Array<{fraction: number, raw: string, feedback: string}>} The raw answer text is still escaped
+ */
+export const parseClozeAnswers = (markup) => splitUnescaped(markup, '~')
+    .filter(answer => answer.trim() !== '')
+    .map(answer => {
+        let fraction = 0;
+        let rest = answer.trim();
+        const percent = /^%(-?\d+(?:\.\d+)?)%/.exec(rest);
+        if (rest.startsWith('=')) {
+            fraction = 100;
+            rest = rest.substring(1);
+        } else if (percent) {
+            fraction = parseFloat(percent[1]);
+            rest = rest.substring(percent[0].length);
+        }
+        const [raw, ...feedback] = splitUnescaped(rest, '#');
+        return {fraction, raw: raw.trim(), feedback: unescapeCloze(feedback.join('#')).trim()};
+    });
+
+/**
+ * Turn a Cloze answer into a gapfill alternative.
+ * @param {string} raw - The answer as written in the markup
+ * @param {string} type - The Cloze question type
+ * @param {boolean} regex - Whether the gapfill answers are regular expressions
+ * @returns {{text: string, wildcard: boolean, problem: string|null}}
+ */
+const convertClozeAnswer = (raw, type, regex) => {
+    if (raw === '*') {
+        return {text: matchAnything, wildcard: true, problem: null};
+    }
+    let problem = null;
+    let text;
+    if (type === 'numerical') {
+        const [number, tolerance] = unescapeCloze(raw).split(':');
+        if (tolerance !== undefined && parseFloat(tolerance) !== 0) {
+            problem = 'clozetolerance';
+        }
+        text = regex ? escapeRegExp(number.trim()) : number.trim();
+    } else if (type !== 'multichoice' && /(^|[^\\])\*/.test(raw)) {
+        // A * inside a short answer matches anything there, which only a regular expression can do.
+        const pieces = raw.split(/(?<!\\)\*/).map(unescapeCloze);
+        text = regex ? pieces.map(escapeRegExp).join('.*') : pieces.join('*');
+        problem = regex ? null : 'clozewildcard';
+    } else {
+        text = regex ? escapeRegExp(unescapeCloze(raw)) : unescapeCloze(raw);
+    }
+    return {text, wildcard: false, problem};
+};
+
+/**
+ * Convert one Cloze embedded question into a gap.
+ * @param {Array} match - The match of clozePattern
+ * @param {string} delimitchars - The gapfill delimiter characters
+ * @param {boolean} regex - Whether the gapfill answers are regular expressions
+ * @returns {{gap: ImportedGap|null, distractors: Array<string>, problems: Array<ConversionProblem>}}
+ *     The gap is null if the question cannot be converted at all
+ */
+const convertClozeQuestion = (match, delimitchars, regex) => {
+    const [source, weight, typeName, markup] = match;
+    const type = clozeTypes[typeName.toUpperCase()];
+    const problems = [];
+    const report = (problemType) => problems.push({type: problemType, source});
+    if (!type) {
+        report('clozetype');
+        return {gap: null, distractors: [], problems};
+    }
+    const alternatives = [];
+    const correctFeedback = new Set();
+    const incorrectFeedback = new Set();
+    const distractors = [];
+    let matchanything = false;
+    parseClozeAnswers(markup).forEach(answer => {
+        const converted = convertClozeAnswer(answer.raw, type, regex);
+        if (converted.problem) {
+            report(converted.problem);
+        }
+        if (answer.fraction === 100) {
+            if (converted.wildcard) {
+                matchanything = true;
+            } else if (isValidAlternative(converted.text, delimitchars)) {
+                alternatives.push(converted.text);
+            } else {
+                report('clozeinvalidanswer');
+            }
+            if (answer.feedback) {
+                correctFeedback.add(answer.feedback);
+            }
+            return;
+        }
+        if (answer.fraction > 0) {
+            report('clozepartial');
+        } else if (type === 'multichoice') {
+            distractors.push(unescapeCloze(answer.raw));
+        } else if (!converted.wildcard) {
+            report('clozewronganswer');
+        }
+        if (answer.feedback) {
+            incorrectFeedback.add(answer.feedback);
+        }
+    });
+    if (!matchanything && !alternatives.length) {
+        report('clozenocorrect');
+        return {gap: null, distractors: [], problems};
+    }
+    if (correctFeedback.size > 1 || incorrectFeedback.size > 1) {
+        report('clozefeedback');
+    }
+    const gap = {
+        answer: buildAnswer(alternatives, matchanything),
+        correctfeedback: [...correctFeedback][0] || '',
+        incorrectfeedback: [...incorrectFeedback][0] || '',
+        options: {
+            ...defaultGapOptions,
+            weight: parseInt(weight, 10) || defaultGapOptions.weight,
+            casesensitive: type === 'shortanswer_c',
+        },
+    };
+    return {gap, distractors, problems};
+};
+
+/**
+ * Convert question text with Cloze or plain text cloze markup into gapfill text.
+ * @param {string} html - The question text
+ * @param {string} format - One of the keys of formats
+ * @param {string} delimitchars - The gapfill delimiter characters
+ * @param {boolean} regex - Whether the gapfill answers are regular expressions
+ * @returns {Conversion}
+ */
+export const importCloze = (html, format, delimitchars, regex) => {
+    const [left, right] = [delimitchars.charAt(0), delimitchars.charAt(1)];
+    const result = {text: '', gaps: [], distractors: [], problems: []};
+    if (format === 'cloze') {
+        result.text = html.replace(clozePattern, (...match) => {
+            const {gap, distractors, problems} = convertClozeQuestion(match, delimitchars, regex);
+            result.problems.push(...problems);
+            result.distractors.push(...distractors);
+            if (!gap) {
+                return match[0];
+            }
+            result.gaps.push(gap);
+            return left + gap.answer + right;
+        });
+        return result;
+    }
+    result.text = tokenize(html, formats[format]).map(token => {
+        if (!token.isgap) {
+            return token.text;
+        }
+        if (parseAnswer(token.answer).alternatives.some(alternative => !isValidAlternative(alternative, delimitchars))) {
+            result.problems.push({type: 'clozeinvalidanswer', source: token.text});
+            return token.text;
+        }
+        result.gaps.push({answer: token.answer, correctfeedback: '', incorrectfeedback: '', options: {...defaultGapOptions}});
+        return left + token.answer + right;
+    }).join('');
+    return result;
+};
+
+/**
+ * Write the Cloze markup for a gap.
+ * @param {GapRange} gap - The gap
+ * @param {ItemSettings|undefined} settings - The settings of the gap
+ * @param {Object} question - casesensitive, regex, display and the options of a dropdown
+ * @param {function(string): void} report - Report a problem with the gap
+ * @returns {string}
+ */
+const exportClozeQuestion = (gap, settings, question, report) => {
+    const options = getGapOptions(settings);
+    const {alternatives, matchanything} = parseAnswer(gap.answer);
+    const answers = (matchanything ? ['*'] : alternatives.map(alternative => {
+        if (question.regex && /(^|[^\\])[.*+?^$()[\]{}]/.test(alternative)) {
+            report('exportregex');
+        }
+        return escapeCloze(question.regex ? alternative.replace(/\\(.)/g, '$1') : alternative);
+    }));
+    const correctfeedback = settings?.correctfeedback || '';
+    const incorrectfeedback = settings?.incorrectfeedback || '';
+    if ((correctfeedback + incorrectfeedback).includes('@@PLUGINFILE@@')) {
+        report('exportfiles');
+    }
+    if (getHints(settings).length) {
+        report('exporthints');
+    }
+    if (options.width) {
+        report('exportwidth');
+    }
+    if (!Number.isInteger(options.weight)) {
+        report('exportweight');
+    }
+    const withFeedback = (feedback) => feedback ? '#' + escapeCloze(feedback) : '';
+    const correct = answers.map(answer => '=' + answer + withFeedback(correctfeedback));
+    let type;
+    let wrong;
+    if (question.display === 'gapfill' || matchanything) {
+        type = question.casesensitive || options.casesensitive ? 'SHORTANSWER_C' : 'SHORTANSWER';
+        wrong = incorrectfeedback && !matchanything ? ['*' + withFeedback(incorrectfeedback)] : [];
+    } else {
+        type = 'MULTICHOICE';
+        const own = new Set(alternatives);
+        wrong = question.choices.filter(choice => !own.has(choice))
+            .map(choice => escapeCloze(choice) + withFeedback(incorrectfeedback));
+    }
+    return `{${Math.max(1, Math.round(options.weight))}:${type}:${[...correct, ...wrong].join('~')}}`;
+};
+
+/**
+ * Convert gapfill question text into Cloze or plain text cloze markup.
+ * @param {string} html - The question text
+ * @param {string} format - One of the keys of formats
+ * @param {Array<ItemSettings>} settings - The stored settings
+ * @param {Object} question - The question settings
+ * @param {string} question.delimitchars - The gapfill delimiter characters
+ * @param {boolean} question.casesensitive
+ * @param {boolean} question.regex - Whether the answers are regular expressions
+ * @param {string} question.display - gapfill, dropdown or dragdrop
+ * @param {Array<string>} question.distractors - The wrong answers offered by dropdowns
+ * @returns {Conversion}
+ */
+export const exportCloze = (html, format, settings, question) => {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const gaps = findGaps(doc.body, question.delimitchars);
+    const problems = [];
+    const choices = [...new Set([
+        ...gaps.map(gap => parseAnswer(gap.answer).alternatives[0]).filter(choice => choice),
+        ...question.distractors,
+    ])];
+    const instances = new Map();
+    const markups = gaps.map(gap => {
+        const instance = instances.get(gap.answer) || 0;
+        instances.set(gap.answer, instance + 1);
+        const gapSettings = findSettings(settings, {gaptext: gap.answer, instance});
+        const report = (type) => problems.push({type, source: gap.text});
+        if (format === 'cloze') {
+            return exportClozeQuestion(gap, gapSettings, {...question, choices}, report);
+        }
+        const delimiters = formats[format];
+        if (gap.answer.includes(delimiters.charAt(0)) || gap.answer.includes(delimiters.charAt(1))) {
+            report('clozeinvalidanswer');
+        }
+        if (gapSettings?.correctfeedback || gapSettings?.incorrectfeedback || getHints(gapSettings).length ||
+                hasGapOptions(gapSettings)) {
+            report('exportfeedbacklost');
+        }
+        return delimiters.charAt(0) + gap.answer + delimiters.charAt(1);
+    });
+    // From the last gap back so the offsets of the earlier gaps still hold.
+    gaps.map((gap, index) => ({gap, markup: markups[index]})).reverse().forEach(({gap, markup}) => {
+        gap.segments.slice().reverse().forEach((segment, index, segments) => {
+            const isFirst = index === segments.length - 1;
+            segment.node.replaceData(segment.start, segment.end - segment.start, isFirst ? markup : '');
+        });
+    });
+    return {text: doc.body.innerHTML, gaps: [], distractors: [], problems};
+};
+
+/**
+ * The language strings used by the dialogs.
+ * @type {Array<string>}
+ */
+const stringKeys = ['clozeimport', 'clozeexport', 'clozeformat', 'clozeformatcloze', 'clozeformatasterisks',
+    'clozeformatbraces', 'clozeformatbrackets', 'clozesource', 'clozeusequestiontext', 'clozeresult', 'clozeproblems',
+    'clozenoproblems', 'clozecopy', 'clozecopied', 'clozecopyfailed', 'clozetype', 'clozetolerance', 'clozewildcard',
+    'clozeinvalidanswer', 'clozepartial', 'clozewronganswer', 'clozenocorrect', 'clozefeedback', 'clozenogaps',
+    'exportregex', 'exportfiles', 'exporthints', 'exportwidth', 'exportweight', 'exportfeedbacklost', 'import'];
+
+/**
+ * Render the markup shared by the dialogs.
+ * @param {Object} strings - The loaded language strings
+ * @param {boolean} isImport - Whether this is the import dialog
+ * @returns {string}
+ */
+const renderBody = (strings, isImport) => `
+    <div class="form-group">
+        <label for="gapfill-cloze-format">${strings.clozeformat}</label>
+        <select class="custom-select" id="gapfill-cloze-format">
+            ${Object.keys(formats).map(format => `<option value="${format}">${strings['clozeformat' + format]}</option>`).join('')}
+        </select>
+    </div>
+    ${isImport ? `
+    <div class="form-group">
+        <label for="gapfill-cloze-source">${strings.clozesource}</label>
+        <textarea class="form-control" id="gapfill-cloze-source" rows="6" spellcheck="false"></textarea>
+        <button type="button" class="btn btn-link px-0" data-action="gapfill-cloze-usequestiontext">
+            ${strings.clozeusequestiontext}</button>
+    </div>` : ''}
+    <div class="form-group">
+        <label for="gapfill-cloze-result">${strings.clozeresult}</label>
+        <textarea class="form-control" id="gapfill-cloze-result" rows="6" readonly spellcheck="false"></textarea>
+    </div>
+    <h5>${strings.clozeproblems}</h5>
+    <ul data-region="gapfill-cloze-problems" aria-live="polite"></ul>
+`;
+
+/**
+ * List the problems of a conversion.
+ * @param {HTMLElement} list - The list element
+ * @param {Array<ConversionProblem>} problems
+ * @param {Object} strings - The loaded language strings
+ */
+const renderProblems = (list, problems, strings) => {
+    list.replaceChildren();
+    (problems.length ? problems : [null]).forEach(problem => {
+        const item = document.createElement('li');
+        if (problem?.source) {
+            item.textContent = `${strings[problem.type]}: `;
+            const code = document.createElement('code');
+            code.textContent = problem.source;
+            item.appendChild(code);
+        } else if (problem) {
+            item.textContent = strings[problem.type];
+        } else {
+            item.textContent = strings.clozenoproblems;
+        }
+        list.appendChild(item);
+    });
+};
+
+/**
+ * Get the question settings the conversions depend on from the question form.
+ * @returns {Object}
+ */
+const getQuestionSettings = () => ({
+    delimitchars: getDelimiters(),
+    casesensitive: !!document.getElementById('id_casesensitive')?.checked,
+    regex: !document.getElementById('id_disableregex')?.checked,
+    display: document.getElementById('id_answerdisplay')?.value || 'gapfill',
+    distractors: parseDistractors(document.getElementById('id_wronganswers')?.value || ''),
+});
+
+/**
+ * Turn pasted plain text into paragraphs, leaving HTML as it is.
+ * @param {string} text
+ * @returns {string}
+ */
+const toHtml = (text) => {
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+        return text;
+    }
+    return text.split(/\r?\n\s*\r?\n/).filter(paragraph => paragraph.trim() !== '').map(paragraph => {
+        const p = document.createElement('p');
+        p.textContent = paragraph.trim();
+        return p.outerHTML.replace(/\r?\n/g, '<br>');
+    }).join('');
+};
+
+/**
+ * Paste or take the question text in Cloze or plain text cloze markup, and replace the
+ * question text with its gapfill conversion, keeping the feedback of each answer.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayClozeImport = async(controller) => {
+    const editor = controller.editor;
+    const strings = await loadStrings(stringKeys);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.clozeimport,
+        body: renderBody(strings, true),
+        large: true,
+    });
+    modal.setSaveButtonText(strings.import);
+    const root = modal.getRoot()[0];
+    const format = root.querySelector('#gapfill-cloze-format');
+    const source = root.querySelector('#gapfill-cloze-source');
+    const result = root.querySelector('#gapfill-cloze-result');
+    const problems = root.querySelector('[data-region="gapfill-cloze-problems"]');
+    const question = getQuestionSettings();
+    let conversion = null;
+
+    const convert = () => {
+        conversion = importCloze(toHtml(source.value), format.value, question.delimitchars, question.regex);
+        result.value = conversion.text;
+        renderProblems(problems, conversion.problems, strings);
+    };
+    format.addEventListener('change', convert);
+    source.addEventListener('input', convert);
+    modal.getRoot().on('click', '[data-action="gapfill-cloze-usequestiontext"]', () => {
+        source.value = editor.getContent();
+        convert();
+    });
+    convert();
+
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        if (!conversion.gaps.length) {
+            e.preventDefault();
+            renderProblems(problems, [...conversion.problems, {type: 'clozenogaps', source: ''}], strings);
+            return;
+        }
+        // Forget the gaps of the replaced text, so their settings are not moved onto the imported gaps by position.
+        // Settings of gaps not in the imported text are left for the orphans check.
+        controller.gapTexts = [];
+        editor.undoManager.transact(() => editor.setContent(conversion.text));
+        editor.setDirty(true);
+        // Match the imported gaps to the gaps of the new text, which may hold gapfill gaps already.
+        const questionid = document.querySelector('input[name=id]')?.value || null;
+        let settings = readSettings();
+        let next = 0;
+        listGaps(editor.getBody()).forEach(gap => {
+            const imported = conversion.gaps[next];
+            if (!imported || imported.answer !== gap.answer) {
+                return;
+            }
+            next++;
+            if (imported.correctfeedback || imported.incorrectfeedback ||
+                    imported.options.weight !== 1 || imported.options.casesensitive) {
+                settings = saveSettings(settings, setGapOptions({
+                    gaptext: gap.answer,
+                    instance: gap.instance,
+                    itemid: gap.itemid,
+                    questionid,
+                    correctfeedback: imported.correctfeedback,
+                    incorrectfeedback: imported.incorrectfeedback,
+                }, imported.options));
+            }
+        });
+        controller.updateSettings(settings);
+        const distractorField = document.getElementById('id_wronganswers');
+        if (distractorField && conversion.distractors.length) {
+            distractorField.value = [...new Set([...question.distractors, ...conversion.distractors])].join(',');
+            distractorField.dispatchEvent(new Event('change', {bubbles: true}));
+        }
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+/**
+ * Show the question text converted to Cloze or plain text cloze markup, ready to copy.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayClozeExport = async(controller) => {
+    const editor = controller.editor;
+    const strings = await loadStrings(stringKeys);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.clozeexport,
+        body: renderBody(strings, false),
+        large: true,
+    });
+    modal.setSaveButtonText(strings.clozecopy);
+    const root = modal.getRoot()[0];
+    const format = root.querySelector('#gapfill-cloze-format');
+    const result = root.querySelector('#gapfill-cloze-result');
+    const problems = root.querySelector('[data-region="gapfill-cloze-problems"]');
+    const question = getQuestionSettings();
+
+    const convert = () => {
+        const conversion = exportCloze(editor.getContent(), format.value, readSettings(), question);
+        result.value = conversion.text;
+        renderProblems(problems, conversion.problems, strings);
+    };
+    format.addEventListener('change', convert);
+    convert();
+
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        // Stay open until the text is copied, so it can still be copied by hand if the clipboard cannot be used.
+        e.preventDefault();
+        result.select();
+        (navigator.clipboard?.writeText(result.value) ?? Promise.reject(new Error('The clipboard is not available')))
+            .then(() => {
+                modal.hide();
+                return addToast(strings.clozecopied);
+            })
+            .catch(() => {
+                result.select();
+                return Notification.alert(strings.clozeexport, strings.clozecopyfailed);
+            });
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    formats,
+    parseClozeAnswers,
+    importCloze,
+    exportCloze,
+    displayClozeImport,
+    displayClozeExport,
+};
@@ -20,332 +20,233 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 import {getButtonImage} from 'editor_tiny/utils';
-import {get_string as getString} from 'core/str';
-import {component, buttonName, icon} from 'tiny_gapfill/common';
+import {
+    component,
+    escapeHtml,
+    loadStrings,
+    buttonName,
+    icon,
+    insertGapButtonName,
+    insertGapIcon,
+    distractorsButtonName,
+    distractorsIcon,
+    previewButtonName,
+    previewIcon,
+    lintButtonName,
+    lintIcon,
+    overviewMenuItemName,
+    bulkFeedbackMenuItemName,
+    exportMenuItemName,
+    importMenuItemName,
+    generateMenuItemName,
+    undoGenerateMenuItemName,
+    clozeMenuItemName,
+    templatesMenuItemName,
+} from 'tiny_gapfill/common';
 import ModalFactory from 'core/modal_factory';
 import ModalEvents from 'core/modal_events';
+import Fragment from 'core/fragment';
+import Templates from 'core/templates';
+import Notification from 'core/notification';
 import {getTinyMCE} from 'editor_tiny/loader';
-import Item, {wrapContent} from 'tiny_gapfill/Item'; // <--- MODIFIED IMPORT
-
-// 🛑 STATE VARIABLE: Tracks whether the custom mode is active.
-let isGapfillModeActive = false;
-
-// 💾 CACHE: Store the clean, original HTML before highlighting.
-let cachedOriginalContent = '';
-
-// 🎯 CLICK HANDLER: Store reference to the click handler for cleanup
-let clickHandler = null;
-
-// 📦 CURRENT ITEM: Store the current Item instance to share between functions
-let currentItem = null;
-
-/**
- * Apply inverse highlighting to text nodes (grey background for all, white for gaps)
- * This uses DOM traversal to preserve existing formatting
- * @param {Object} editor - TinyMCE editor instance
- */
-const applyGapfillHighlight = (editor) => {
-    const body = editor.getBody();
-    // 1. Set the overall editor body background to Grey (this covers all surrounding text and spaces)
-    body.classList.add('tinybackground');
-    const walker = document.createTreeWalker(
-        body,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-    );
-    const nodesToProcess = [];
-    let node;
-    // Collect all text nodes
-    node = walker.nextNode();
-    while (node) {
-        nodesToProcess.push(node);
-        node = walker.nextNode();
-    }
-
-    let itemCounter = 1;
-
-    // Process each text node
-    nodesToProcess.forEach(textNode => {
-        const text = textNode.textContent;
-        const regex = /\[([^\]]+)\]/g;
-        if (regex.test(text)) {
-            // Create a temporary container
-            const span = document.createElement('span');
-            // 2. Set the background of the bracketed content to WHITE and add clickable class with item ID
-            span.innerHTML = text.replace(/\[([^\]]+)\]/g, (match) => {
-                const itemId = `id${itemCounter}`;
-                itemCounter++;
-                return `<span class="gapfill-highlight gapfill-clickable item" id="${itemId}" style="background-color: white; cursor: pointer;">${match}</span>`;
-            });
-            // Replace the text node with the new content
-            const parent = textNode.parentNode;
-            while (span.firstChild) {
-                parent.insertBefore(span.firstChild, textNode);
-            }
-            parent.removeChild(textNode);
-        }
-    });
-};
-const itemsSettings = document.querySelector('#id_itemsettings');
+import {getContextId, getUserId} from 'tiny_gapfill/options';
+import {createController, modeChangeEvent} from 'tiny_gapfill/controller';
+import {getAnswersContext, initAnswersSection, readAnswers} from 'tiny_gapfill/answerform';
+import {normaliseAnswer} from 'tiny_gapfill/answers';
+import {insertGap} from 'tiny_gapfill/insertgap';
+import {displayDistractorDialog} from 'tiny_gapfill/distractors';
+import {displayPreview} from 'tiny_gapfill/preview';
+import {displayOverview} from 'tiny_gapfill/overview';
+import {displayBulkFeedback} from 'tiny_gapfill/bulkfeedback';
+import {exportFeedback, displayImportDialog} from 'tiny_gapfill/importexport';
+import {registerOrphanChecks} from 'tiny_gapfill/orphans';
+import {GapfillLinter} from 'tiny_gapfill/linter';
+import {displayGenerateDialog, hasGeneration, undoGeneration} from 'tiny_gapfill/generategaps';
+import {displayClozeImport, displayClozeExport} from 'tiny_gapfill/cloze';
+import {displayTemplateGallery} from 'tiny_gapfill/templategallery';
+import {readSettings, saveSettings, setGapOptions, setHints} from 'tiny_gapfill/itemsettings';
+import {getGapOptionsContext, readGapOptions} from 'tiny_gapfill/gapoptions';
+import {initHintsSection, readHints} from 'tiny_gapfill/hintsform';
+import {initSnippetsSection} from 'tiny_gapfill/snippets';
 
 /**
  * Display a modal dialog to allow the user to edit the individual feedback settings for a specific gap.
  *
  * @async
- * @param {Object} editor - The TinyMCE editor instance that contains the question content.
- * @param {string} fullGapMarker - The complete, unencoded gap marker string currently in the editor (e.g., '[cat]').
-*  @param {string} targetElement = The element that was clicked on
-* This is used to target the exact string for replacement after encoding.
+ * @param {GapfillController} controller - The gap mode controller of the editor that contains the question content.
  * @param {string} gapText - The text content or answer part extracted from between the brackets (e.g., 'cat').
- * @returns {Promise<void>} A Promise that resolves when the modal is closed and the editor content has been updated
- * with the encoded feedback, or when the process is cancelled.
+ * @param {HTMLElement} targetElement - The gap element that was clicked on, whose text is replaced if the answers change.
+ * @returns {Promise<void>} A Promise that resolves once the modal is shown.
  */
-const displayGapDialog = async(editor, fullGapMarker, gapText, targetElement) => {
+const displayGapDialog = async(controller, gapText, targetElement) => {
+    const currentItem = controller.currentItem;
 
     // Get TinyMCE instance
     const tinymce = await getTinyMCE();
 
-    // Read existing itemsettings from the hidden field
-   const itemSettingsField = document.querySelector('#id_itemsettings');
-   let existingSettings = {};
-   if (itemSettingsField && itemSettingsField.value) {
-       try {
-           existingSettings = JSON.parse(itemSettingsField.value);
-       } catch (e) {
-           // If parsing fails, start with empty object
-           existingSettings = {};
-       }
-   }
-
-      // 🔧 FIX: Get item settings using the currentItem instance
+    // The stored settings of the clicked gap
     let itemSettings = {};
     if (currentItem) {
         itemSettings = currentItem.getItemSettings(targetElement);
     }
-    // Create modal body HTML with **TEXTAREAS** for feedback fields, as TinyMCE needs a selector target
-    const bodyContent = `
-        <div class="container-fluid">
-            <div class="form-group row mb-3">
-                <label for="gapfill-feedback-correct" class="col-md-12 col-form-label font-weight-bold">Feedback
-                    for correct.</label>
-                <div class="col-md-12">
-                    <textarea id="gapfill-feedback-correct" class="form-control" rows="6"></textarea>
-                </div>
-            </div>
-            <div class="form-group row mb-3">
-                <label for="gapfill-feedback-incorrect" class="col-md-12 col-form-label font-weight-bold">Feedback
-                    for incorrect.</label>
-                <div class="col-md-12">
-                    <textarea id="gapfill-feedback-incorrect" class="form-control" rows="6"></textarea>
-                </div>
-            </div>
-        </div>
-    `;
+    // The gap text goes in the title isolated, as it may run in another direction to the interface
+    const [strings, bodyContent] = await Promise.all([
+        loadStrings([{key: 'gapsettings', param: `<bdi>${escapeHtml(gapText)}</bdi>`}]),
+        // The feedback editors are rendered by Moodle so they get the same setup as the question text
+        Templates.render(`${component}/gapdialog`, {
+            answers: getAnswersContext(),
+            gapoptions: getGapOptionsContext(itemSettings),
+        }),
+    ]);
 
     // Create and show modal using ModalFactory
     const modal = await ModalFactory.create({
         type: ModalFactory.types.SAVE_CANCEL,
-        title: `Add Gap settings: ${gapText}`,
+        title: strings.gapsettings,
         body: bodyContent,
         large: true,
     });
 
-    // Show the modal
-    modal.show();
-
-    // After modal is shown, initialize TinyMCE editors for the feedback fields
-    modal.getRoot().on(ModalEvents.shown, async() => {
-        // Wait a moment for DOM to be ready
-        await new Promise(resolve => setTimeout(resolve, 100));
+    // Fill in the answers section, one row per accepted alternative
+    const root = modal.getRoot()[0];
+    await initAnswersSection(modal, gapText);
+    await initHintsSection(modal, itemSettings);
+
+    // Files in the feedback go to the draft area of the question text, which is saved with the question
+    const region = root.querySelector('[data-region="gapfill-feedback-editors"]');
+    const draftitemid = document.querySelector('input[name="questiontext[itemid]"]')?.value || 0;
+    Fragment.loadFragment(component, 'feedback_editors', getContextId(controller.editor) || M.cfg.contextid, {
+        draftitemid,
+        correctfeedback: itemSettings.correctfeedback || '',
+        incorrectfeedback: itemSettings.incorrectfeedback || '',
+    }).then((html, js) => Templates.replaceNodeContents(region, html, js))
+    .catch(Notification.exception);
+
+    /**
+     * Get the content of a feedback editor, or of its textarea if the editor is not ready.
+     * @param {HTMLTextAreaElement} textarea
+     * @returns {string}
+     */
+    const getFeedbackContent = (textarea) => {
+        const editor = tinymce.get(textarea.id);
+        return editor ? editor.getContent() : textarea.value;
+    };
 
-        // Initialize TinyMCE for feedback correct
-        tinymce.init({
-            selector: '#gapfill-feedback-correct',
-            menubar: false,
-            toolbar: 'undo redo | formatselect | bold italic | bullist numlist | link unlink',
-            plugins: 'lists link',
-            setup: (ed) => {
-                ed.on('init', () => {
-                    ed.setContent(itemSettings.correctfeedback);
-                });
-            }
-        });
+    /**
+     * Read a feedback field, turning links to the draft area back into @@PLUGINFILE@@ links.
+     * @param {string} field - correctfeedback or incorrectfeedback
+     * @returns {string}
+     */
+    const readFeedback = (field) => {
+        const textarea = region.querySelector(`[data-field="${field}"]`);
+        if (!textarea) {
+            // The editors have not loaded yet, so the feedback is unchanged
+            return itemSettings[field] || '';
+        }
+        const draftfilebase = region.querySelector('[data-draftfilebase]').dataset.draftfilebase;
+        return getFeedbackContent(textarea).split(draftfilebase).join('@@PLUGINFILE@@/').trim();
+    };
 
-        // Initialize TinyMCE for feedback incorrect
-        tinymce.init({
-            selector: '#gapfill-feedback-incorrect',
-            menubar: false,
-            toolbar: 'undo redo | formatselect | bold italic | bullist numlist | link unlink',
-            plugins: 'lists link',
-            setup: (ed) => {
-                ed.on('init', () => {
-                    ed.setContent(itemSettings.incorrectfeedback);
-                });
+    // Snippets are read and inserted as they are in the editors, with {gap} expanded to the answer of this gap
+    await initSnippetsSection(modal, {
+        userid: getUserId(controller.editor),
+        gaptext: currentItem.gaptextNodelim,
+        readField: (field) => {
+            const textarea = region.querySelector(`[data-field="${field}"]`);
+            return textarea ? getFeedbackContent(textarea).trim() : itemSettings[field] || '';
+        },
+        insertField: (field, text) => {
+            const textarea = region.querySelector(`[data-field="${field}"]`);
+            const editor = textarea && tinymce.get(textarea.id);
+            if (editor) {
+                editor.insertContent(text);
+                editor.focus();
+            } else if (textarea) {
+                textarea.value += text;
             }
-        });
+        },
     });
 
-  // Handle save button (OK button clicked) and write any contents
-// of the form to the hidden itemsettings field as json
-modal.getRoot().on(ModalEvents.save, () => {
-    // 1. Get content from TinyMCE editors
-    const correctEditor = tinymce.get('gapfill-feedback-correct');
-    const incorrectEditor = tinymce.get('gapfill-feedback-incorrect');
-    // Get content and ensure it's clean HTML (using 'raw' format for cleaner content)
-    const correctFeedback = correctEditor ? correctEditor.getContent({format: 'raw'}).trim() : '';
-    const incorrectFeedback = incorrectEditor ? incorrectEditor.getContent({format: 'raw'}).trim() : '';
-
-    // 2. Create new feedback settings for this gap
-    const itemKey = currentItem.itemid + '_' + currentItem.instance;
-    const newFeedback = {
-        gaptext: currentItem.gaptextNodelim,
-        itemid: itemKey,
-        questionid: currentItem.questionid,
-        correctfeedback: correctFeedback,
-        incorrectfeedback: incorrectFeedback
-    };
-
-    // 3. Parse existing settings as array, find and update or add the item
-    let settingsArray = [];
-    try {
-        settingsArray = Array.isArray(existingSettings) ? existingSettings : [];
-    } catch (e) {
-        settingsArray = [];
-    }
-
-    // Find if this item already exists in the array
-    const existingIndex = settingsArray.findIndex(item => item.itemid === itemKey);
-
-    if (existingIndex !== -1) {
-        // Update existing item
-        settingsArray[existingIndex] = newFeedback;
-    } else {
-        // Add new item
-        settingsArray.push(newFeedback);
-    }
-
-    // 4. Write merged JSON back to hidden itemsettings field
-    const itemSettingsField = document.querySelector('#id_itemsettings');
-    if (itemSettingsField) {
-        itemSettingsField.value = JSON.stringify(settingsArray);
-    }
+    // Show the modal
+    modal.show();
 
-    // Update classes on the target span based on saved feedback
-    try {
-        const targetEl = targetElement;
-        if (targetEl && targetEl.classList) {
-            if (correctFeedback && correctFeedback.length > 0) {
-                targetEl.classList.add('hascorrect');
-            } else {
-                targetEl.classList.remove('hascorrect');
-            }
-            if (incorrectFeedback && incorrectFeedback.length > 0) {
-                targetEl.classList.add('hasnocorrect');
-            } else {
-                targetEl.classList.remove('hasnocorrect');
-            }
+    // Handle save button (OK button clicked) and write any contents
+    // of the form to the hidden itemsettings field as json
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        // 0. Rebuild the gap from the answers section, keeping the dialog open if an answer or option is not allowed
+        const newAnswer = readAnswers(root, currentItem.delimitchars);
+        const gapOptions = readGapOptions(root, itemSettings);
+        if (newAnswer === null || gapOptions === null) {
+            e.preventDefault();
+            return;
+        }
+        // 1. Get content from the feedback editors
+        const correctFeedback = readFeedback('correctfeedback');
+        const incorrectFeedback = readFeedback('incorrectfeedback');
+
+        // 2. Create new feedback settings for this gap, identified by its text and instance
+        const getSettings = (identity) => {
+            const newFeedback = {
+                gaptext: identity.gaptext,
+                instance: identity.instance,
+                itemid: targetElement.id,
+                questionid: currentItem.questionid,
+                correctfeedback: correctFeedback,
+                incorrectfeedback: incorrectFeedback
+            };
+            const updatedSettings = setHints(setGapOptions(newFeedback, gapOptions), readHints(root));
+            return saveSettings(readSettings(), updatedSettings);
+        };
+
+        // 3 & 4. Update or add the item and write the JSON back to the hidden itemsettings field as a step that
+        // can be undone, rebuilding the highlighting so gap ids and the hascorrect/hasnocorrect classes match
+        // The gap text is left as it is unless the alternatives changed, e.g. not to drop spaces around a |
+        if (newAnswer === normaliseAnswer(currentItem.gaptextNodelim)) {
+            controller.updateSettings(getSettings({gaptext: currentItem.gaptextNodelim, instance: currentItem.instance}));
+        } else {
+            // Write the new marker into the clicked span, the highlighting is stripped on save so only the text remains.
+            // The text and the settings are undone together.
+            const newMarker = currentItem.l + newAnswer + currentItem.r;
+            controller.updateGap(targetElement, newMarker, () => getSettings(controller.getGapIdentity(targetElement)));
+            currentItem.gaptext = newMarker;
+            currentItem.len = newMarker.length;
+            currentItem.stripdelim();
         }
-    } catch (err) {
-        // If anything goes wrong updating the DOM, silently continue.
-    }
-
-    // Close the modal
-    modal.hide();
-});
 
+        // Close the modal
+        modal.hide();
+    });
 
     // Handle modal cleanup
     modal.getRoot().on(ModalEvents.hidden, () => {
-        // Clean up TinyMCE editors
-        const correctEditor = tinymce.get('gapfill-feedback-correct');
-        const incorrectEditor = tinymce.get('gapfill-feedback-incorrect');
-
-        if (correctEditor) {
-            correctEditor.remove();
-        }
-        if (incorrectEditor) {
-            incorrectEditor.remove();
-        }
+        // Clean up the feedback editors
+        region.querySelectorAll('[data-field]').forEach(textarea => tinymce.get(textarea.id)?.remove());
         modal.destroy();
     });
 };
-let item = null;
-/**
- * Register click event handler for gapfill items
- * @param {Object} editor - TinyMCE editor instance
- */
-const registerClickHandler = (editor) => {
-    // Wrap content when editor initializes
-
-
-    clickHandler = (e) => {
-        const target = e.target;
-
-
-        // Check if clicked element has the gapfill-clickable class
-        if (target.classList.contains('gapfill-clickable')) {
-            // Get delimiter characters and create Item instance
-            const delimitchars = document.getElementById('id_delimitchars').value;
-
-            currentItem = new Item(target.innerHTML, delimitchars, e);
-
-
-            e.preventDefault();
-            e.stopPropagation();
-
-            // Extract the full text including brackets (e.g., "[cat]")
-            const fullGapMarker = target.textContent;
-
-            // Extract just the content between brackets (e.g., "cat")
-            const match = fullGapMarker.match(/\[([^\]]+)\]/);
-            const gapText = match ? match[1] : fullGapMarker;
-
-
-            // Show modal dialog
-            // Pass the editor instance and both marker types to the dialog
-            displayGapDialog(editor, fullGapMarker, gapText, target);
-        }
-    };
-
-    // Add click event listener to editor body
-    editor.getBody().addEventListener('click', clickHandler);
-};
 
 /**
- * Unregister click event handler
- * @param {Object} editor - TinyMCE editor instance
+ * Open the feedback dialog for a gap clicked in gap mode.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ * @param {HTMLElement} target - The gap element that was clicked on
  */
-const unregisterClickHandler = (editor) => {
-    if (clickHandler) {
-        editor.getBody().removeEventListener('click', clickHandler);
-        clickHandler = null;
-    }
+const handleGapClick = (controller, target) => {
+    // Extract just the content between the delimiters (e.g., "cat")
+    const gapText = controller.currentItem.stripdelim();
+    displayGapDialog(controller, gapText, target).catch(Notification.exception);
 };
 
 /**
- * Restores the editor to its original content and default background.
- * @param {Object} editor - TinyMCE editor instance
+ * The language strings used by the buttons and menu items.
+ * @type {Array<string>}
  */
-const restoreDefaultState = (editor) => {
-    // 1. Restore the original HTML content to clean up inserted spans
-    editor.setContent(cachedOriginalContent);
-
-    // 2. Restore the editor body's default background by removing the tinybackground class
-    editor.getBody().classList.remove('tinybackground');
-
-    // 3. Remove click handler
-    unregisterClickHandler(editor);
-    currentItem = null;
-};
-
+const stringKeys = ['buttontitle', 'insertgap', 'distractors', 'preview', 'checkgaps', 'gapoverview', 'bulkfeedback',
+    'importfeedback', 'exportfeedback', 'exportcsv', 'exportjson', 'generategaps', 'undogenerate', 'cloze', 'clozeimport',
+    'clozeexport', 'inserttemplate'];
 
 export const getSetup = async() => {
-    const [
-        buttonTitle,
-        buttonImage,
-    ] = await Promise.all([
-        getString('buttontitle', component),
+    const [strings, buttonImage] = await Promise.all([
+        loadStrings(stringKeys),
         getButtonImage('icon', component),
     ]);
     return (editor) => {
@@ -359,82 +260,175 @@ export const getSetup = async() => {
             return;
         }
 
+        const controller = createController(editor, handleGapClick);
+        // The linter checks a submission before the orphaned feedback does, so an error stops both.
+        const linter = new GapfillLinter(controller);
+        registerOrphanChecks(controller);
+
         // Use addToggleButton for proper toggle state management.
         editor.ui.registry.addToggleButton(buttonName, {
             icon,
-            tooltip: buttonTitle,
-            onAction: (api) => {
-                // 🛑 TOGGLE LOGIC HERE
-                if (!isGapfillModeActive) {
-                    // ACTIVATE MODE
-
-                    // 1. Cache the clean HTML content *before* DOM manipulation
-                    cachedOriginalContent = editor.getContent();
-
-                    // 2. Apply highlighting (modifies the DOM)
-                    applyGapfillHighlight(editor);
-
-                    // 3. Register click handler for bracketed content
-                    registerClickHandler(editor);
+            tooltip: strings.buttontitle,
+            onAction: () => controller.toggle(),
+            onSetup: (api) => {
+                // Reflect this editor's mode, whether it was changed by the button or the menu item.
+                const setState = () => {
+                    api.setActive(controller.active);
+                    if (controller.active) {
+                        // Re-enable the button after TinyMCE disables it for read-only mode.
+                        api.setEnabled(true);
+                    }
+                };
+                setState();
+                editor.on(modeChangeEvent, setState);
+                return () => editor.off(modeChangeEvent, setState);
+            }
+        });
 
-                    // 4. SET READ-ONLY MODE (This is the only reliable way to disable typing)
-                    editor.mode.set('readonly');
+        // Register the Menu item.
+        editor.ui.registry.addMenuItem(buttonName, {
+            icon,
+            text: strings.buttontitle,
+            onAction: () => controller.toggle(),
+        });
 
-                    // 5. FIX: Re-enable the button immediately after TinyMCE disables it.
-                    api.setEnabled(true);
+        // Register the gallery of question text templates, next to the gap mode menu item.
+        editor.ui.registry.addMenuItem(templatesMenuItemName, {
+            text: strings.inserttemplate,
+            onAction: () => displayTemplateGallery(editor).catch(Notification.exception),
+        });
 
-                    isGapfillModeActive = true;
-                    api.setActive(true); // Visually set the button as pressed
-                } else {
-                    // DEACTIVATE MODE
+        // Register the overview of every gap and its feedback.
+        editor.ui.registry.addMenuItem(overviewMenuItemName, {
+            text: strings.gapoverview,
+            onAction: () => displayOverview(controller).catch(Notification.exception),
+        });
 
-                    // 1. Restore the original HTML and background
-                    restoreDefaultState(editor);
+        // Register the dialog for editing the feedback of every gap at once.
+        editor.ui.registry.addMenuItem(bulkFeedbackMenuItemName, {
+            text: strings.bulkfeedback,
+            onAction: () => displayBulkFeedback(controller).catch(Notification.exception),
+        });
 
-                    // 2. Set back to design (editable) mode
-                    editor.mode.set('design');
+        // Register importing and exporting the feedback of every gap.
+        editor.ui.registry.addMenuItem(importMenuItemName, {
+            text: strings.importfeedback,
+            onAction: () => displayImportDialog(controller).catch(Notification.exception),
+        });
+        editor.ui.registry.addNestedMenuItem(exportMenuItemName, {
+            text: strings.exportfeedback,
+            getSubmenuItems: () => [
+                {type: 'menuitem', text: strings.exportcsv, onAction: () => exportFeedback(editor, 'csv')},
+                {type: 'menuitem', text: strings.exportjson, onAction: () => exportFeedback(editor, 'json')},
+            ],
+        });
 
-                    isGapfillModeActive = false;
-                    api.setActive(false); // Visually set the button as unpressed
-                    // Button is now in 'design' mode, so its enabled state is managed by TinyMCE defaults.
-                }
+        // Register the student view preview, available in gap mode too.
+        editor.ui.registry.addButton(previewButtonName, {
+            icon: previewIcon,
+            tooltip: strings.preview,
+            onAction: () => displayPreview(editor).catch(Notification.exception),
+            onSetup: (api) => {
+                const setState = () => {
+                    if (controller.active) {
+                        api.setEnabled(true);
+                    }
+                };
+                editor.on(modeChangeEvent, setState);
+                return () => editor.off(modeChangeEvent, setState);
             },
+        });
+        editor.ui.registry.addMenuItem(previewButtonName, {
+            icon: previewIcon,
+            text: strings.preview,
+            onAction: () => displayPreview(editor).catch(Notification.exception),
+        });
+
+        // Register the gap checker, available in gap mode too.
+        editor.ui.registry.addButton(lintButtonName, {
+            icon: lintIcon,
+            tooltip: strings.checkgaps,
+            onAction: () => linter.check().catch(Notification.exception),
             onSetup: (api) => {
-                // Initial setup ensures the button is enabled and reflects initial state.
-                if (isGapfillModeActive) {
-                    // If the mode is active when loaded, ensure the button is enabled and active.
-                    api.setEnabled(true);
-                    api.setActive(true);
-                } else {
-                    api.setActive(false);
-                }
+                const setState = () => {
+                    if (controller.active) {
+                        api.setEnabled(true);
+                    }
+                };
+                editor.on(modeChangeEvent, setState);
+                return () => editor.off(modeChangeEvent, setState);
+            },
+        });
+        editor.ui.registry.addMenuItem(lintButtonName, {
+            icon: lintIcon,
+            text: strings.checkgaps,
+            onAction: () => linter.check().catch(Notification.exception),
+        });
 
-                return () => {}; // Cleanup function
-            }
+        // Register the distractors (wrong answers) dialog.
+        editor.ui.registry.addButton(distractorsButtonName, {
+            icon: distractorsIcon,
+            tooltip: strings.distractors,
+            onAction: () => displayDistractorDialog(editor).catch(Notification.exception),
+        });
+        editor.ui.registry.addMenuItem(distractorsButtonName, {
+            icon: distractorsIcon,
+            text: strings.distractors,
+            onAction: () => displayDistractorDialog(editor).catch(Notification.exception),
         });
 
-        // Register the Menu item.
-        editor.ui.registry.addMenuItem(buttonName, {
-            icon,
-            text: buttonTitle,
-            onAction: () => {
-                // The menu item logic mirrors the button's logic.
-                if (!isGapfillModeActive) {
-                    // ACTIVATE MODE
-                    cachedOriginalContent = editor.getContent();
-                    applyGapfillHighlight(editor);
-                    registerClickHandler(editor);
-                    editor.mode.set('readonly'); // Disable typing
-                    item.wrapContent(editor.getBody());
-                    // No need to re-enable menu items, only toolbar buttons.
-                    isGapfillModeActive = true;
-                } else {
-                    // DEACTIVATE MODE
-                    restoreDefaultState(editor);
-                    editor.mode.set('design'); // Enable typing
-                    isGapfillModeActive = false;
-                }
+        // Register the command that turns the selection into a gap, with its button, menu item,
+        // selection toolbar entry and shortcut.
+        editor.addCommand(insertGapButtonName, () => insertGap(editor).catch(Notification.exception));
+        editor.ui.registry.addButton(insertGapButtonName, {
+            icon: insertGapIcon,
+            tooltip: strings.insertgap,
+            shortcut: 'Meta+Shift+G',
+            onAction: () => editor.execCommand(insertGapButtonName),
+        });
+        editor.ui.registry.addMenuItem(insertGapButtonName, {
+            icon: insertGapIcon,
+            text: strings.insertgap,
+            shortcut: 'Meta+Shift+G',
+            onAction: () => editor.execCommand(insertGapButtonName),
+        });
+        editor.ui.registry.addContextToolbar(insertGapButtonName, {
+            predicate: () => !controller.active && !editor.selection.isCollapsed(),
+            items: insertGapButtonName,
+            position: 'selection',
+            scope: 'node',
+        });
+        editor.addShortcut('Meta+Shift+G', strings.insertgap, insertGapButtonName);
+
+        // Register generating gaps from the passage, and undoing the last generation.
+        editor.ui.registry.addMenuItem(generateMenuItemName, {
+            text: strings.generategaps,
+            onAction: () => displayGenerateDialog(controller).catch(Notification.exception),
+        });
+        editor.ui.registry.addMenuItem(undoGenerateMenuItemName, {
+            text: strings.undogenerate,
+            onAction: () => undoGeneration(editor).catch(Notification.exception),
+            onSetup: (api) => {
+                api.setEnabled(hasGeneration(editor));
+                return () => {};
             },
         });
+
+        // Register converting the question text from and to Cloze and other cloze markup.
+        editor.ui.registry.addNestedMenuItem(clozeMenuItemName, {
+            text: strings.cloze,
+            getSubmenuItems: () => [
+                {
+                    type: 'menuitem',
+                    text: strings.clozeimport,
+                    onAction: () => displayClozeImport(controller).catch(Notification.exception),
+                },
+                {
+                    type: 'menuitem',
+                    text: strings.clozeexport,
+                    onAction: () => displayClozeExport(controller).catch(Notification.exception),
+                },
+            ],
+        });
     };
 };
@@ -21,14 +21,149 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import {get_strings as getStrings} from 'core/str';
+
 export const component = 'tiny_gapfill';
 export const pluginName = `${component}/plugin`;
 export const icon = 'tiny_gapfill';
 export const buttonName = 'tiny_gapfill';
+export const insertGapButtonName = 'tiny_gapfill_insertgap';
+export const insertGapIcon = 'edit-block';
+export const distractorsButtonName = 'tiny_gapfill_distractors';
+export const distractorsIcon = 'checklist';
+export const previewButtonName = 'tiny_gapfill_preview';
+export const previewIcon = 'preview';
+export const lintButtonName = 'tiny_gapfill_lint';
+export const lintIcon = 'spell-check';
+export const overviewMenuItemName = 'tiny_gapfill_overview';
+export const bulkFeedbackMenuItemName = 'tiny_gapfill_bulkfeedback';
+export const exportMenuItemName = 'tiny_gapfill_exportfeedback';
+export const importMenuItemName = 'tiny_gapfill_importfeedback';
+export const generateMenuItemName = 'tiny_gapfill_generategaps';
+export const undoGenerateMenuItemName = 'tiny_gapfill_undogenerate';
+export const clozeMenuItemName = 'tiny_gapfill_cloze';
+export const templatesMenuItemName = 'tiny_gapfill_templates';
+
+/**
+ * A language string to load, by its identifier or as a request naming another component or a value to fill in.
+ * @typedef {string|{key: string, component: (string|undefined), param: *}} StringRequest
+ */
+
+/**
+ * Make a request for core/str, for a string of this plugin unless another component is given.
+ * @param {StringRequest} key
+ * @returns {{key: string, component: string, param: *}}
+ */
+const toRequest = (key) => (typeof key === 'string' ? {key, component} : {component, ...key});
+
+/**
+ * Load language strings.
+ * @param {Array<StringRequest>} keys
+ * @returns {Promise<Object<string, string>>} Strings keyed by their identifier
+ */
+export const loadStrings = async(keys) => {
+    const requests = keys.map(toRequest);
+    const strings = await getStrings(requests);
+    return Object.fromEntries(requests.map(({key}, index) => [key, strings[index]]));
+};
+
+/**
+ * Load language strings in order, for a string wanted with different values, such as a label for every row.
+ * @param {Array<StringRequest>} keys
+ * @returns {Promise<Array<string>>} The strings in the order they were asked for
+ */
+export const loadStringList = (keys) => getStrings(keys.map(toRequest));
+
+/**
+ * Escape text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Create a row with a text input and a button to remove the row, for the lists of answers in the dialogs.
+ * @param {Object} options
+ * @param {string} options.region - The data-region of the row
+ * @param {string} options.value - The value of the input
+ * @param {string} options.label - The accessible name of the input
+ * @param {string} options.removeAction - The data-action of the remove button
+ * @param {string} options.removeLabel - The accessible name of the remove button
+ * @returns {HTMLElement} The row
+ */
+export const createInputRow = ({region, value, label, removeAction, removeLabel}) => {
+    const row = document.createElement('div');
+    row.className = 'input-group mb-1';
+    row.dataset.region = region;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control';
+    // Answers may run in another direction to the page.
+    input.dir = 'auto';
+    input.value = value;
+    input.setAttribute('aria-label', label);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-outline-secondary';
+    remove.dataset.action = removeAction;
+    remove.title = removeLabel;
+    remove.setAttribute('aria-label', removeLabel);
+    remove.textContent = '\u00d7';
+    row.append(input, remove);
+    return row;
+};
+
+/**
+ * Let the user download text as a file.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - The media type, e.g. text/csv
+ */
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], {type: `${type};charset=utf-8`}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers only start the download after the click returns, so the URL has to outlive it.
+    setTimeout(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Let the user download data as a JSON file.
+ * @param {string} filename
+ * @param {*} data
+ */
+export const downloadJson = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
 
 export default {
     component,
     pluginName,
     icon,
     buttonName,
+    insertGapButtonName,
+    insertGapIcon,
+    distractorsButtonName,
+    distractorsIcon,
+    previewButtonName,
+    previewIcon,
+    lintButtonName,
+    lintIcon,
+    overviewMenuItemName,
+    bulkFeedbackMenuItemName,
+    exportMenuItemName,
+    importMenuItemName,
+    generateMenuItemName,
+    undoGenerateMenuItemName,
+    clozeMenuItemName,
+    templatesMenuItemName,
+    loadStrings,
+    loadStringList,
+    escapeHtml,
+    createInputRow,
+    downloadFile,
+    downloadJson,
 };
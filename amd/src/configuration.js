@@ -21,13 +21,41 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {buttonName} from 'tiny_gapfill/common';
-import {addToolbarButton, addMenubarItem} from 'editor_tiny/utils';
+import {
+    buttonName,
+    insertGapButtonName,
+    distractorsButtonName,
+    previewButtonName,
+    lintButtonName,
+    overviewMenuItemName,
+    bulkFeedbackMenuItemName,
+    exportMenuItemName,
+    importMenuItemName,
+    generateMenuItemName,
+    undoGenerateMenuItemName,
+    clozeMenuItemName,
+    templatesMenuItemName,
+} from 'tiny_gapfill/common';
+import {addToolbarButtons, addMenubarItem} from 'editor_tiny/utils';
 
 export const configure = (instanceConfig) => {
-    // Update the instance configuration to add the gapfill option to the toolbar and menu.
+    // Update the instance configuration to add the gapfill options to the toolbar and menu.
+    let menu = addMenubarItem(instanceConfig.menu, 'insert', buttonName);
+    menu = addMenubarItem(menu, 'insert', templatesMenuItemName);
+    menu = addMenubarItem(menu, 'insert', overviewMenuItemName);
+    menu = addMenubarItem(menu, 'insert', bulkFeedbackMenuItemName);
+    menu = addMenubarItem(menu, 'insert', importMenuItemName);
+    menu = addMenubarItem(menu, 'insert', exportMenuItemName);
+    menu = addMenubarItem(menu, 'insert', previewButtonName);
+    menu = addMenubarItem(menu, 'insert', lintButtonName);
+    menu = addMenubarItem(menu, 'insert', distractorsButtonName);
+    menu = addMenubarItem(menu, 'insert', insertGapButtonName);
+    menu = addMenubarItem(menu, 'insert', generateMenuItemName);
+    menu = addMenubarItem(menu, 'insert', undoGenerateMenuItemName);
+    menu = addMenubarItem(menu, 'insert', clozeMenuItemName);
     return {
-        toolbar: addToolbarButton(instanceConfig.toolbar, 'content', buttonName),
-        menu: addMenubarItem(instanceConfig.menu, 'insert', buttonName),
+        toolbar: addToolbarButtons(instanceConfig.toolbar, 'content',
+            [buttonName, previewButtonName, lintButtonName, distractorsButtonName, insertGapButtonName]),
+        menu,
     };
 };
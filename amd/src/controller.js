@@ -0,0 +1,703 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-editor state for gap mode.
+ *
+ * @module     tiny_gapfill/controller
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {loadStringList} from 'tiny_gapfill/common';
+import Item, {listGaps} from 'tiny_gapfill/Item';
+import {getDelimiters, findGaps, stripDelimiters} from 'tiny_gapfill/tokenizer';
+import {
+    readSettings,
+    writeSettings,
+    getIdentities,
+    rekeySettings,
+    getGapOptions,
+    hasGapOptions,
+    getHints,
+} from 'tiny_gapfill/itemsettings';
+
+/**
+ * Attribute identifying the highlight spans, which are never serialised.
+ * @type {string}
+ */
+export const highlightAttribute = 'data-gapfill';
+
+/**
+ * Selector for the spans highlighting the gaps in gap mode.
+ * @type {string}
+ */
+const gapSelector = `[${highlightAttribute}="gap"]`;
+
+/**
+ * Selector for all the spans highlighting gaps, including the later pieces of gaps running across formatting.
+ * @type {string}
+ */
+const highlightSelector = `${gapSelector}, [${highlightAttribute}="gappart"]`;
+
+/**
+ * Event fired on the editor when gap mode is switched on or off.
+ * @type {string}
+ */
+export const modeChangeEvent = 'GapfillModeChange';
+
+/**
+ * Start of the comment ending each undo level, which names the version of the settings the level holds.
+ * A change to the settings alone then still makes a level the editor can undo.
+ * @type {string}
+ */
+const settingsStampPrefix = 'tiny_gapfill settings ';
+
+/**
+ * The arrow keys that swap meaning in right-to-left text.
+ * @type {Object<string, string>}
+ */
+const mirroredKeys = Object.freeze({ArrowLeft: 'ArrowRight', ArrowRight: 'ArrowLeft'});
+
+/**
+ * Controllers keyed by the editor they belong to.
+ * @type {Map<Object, GapfillController>}
+ */
+const controllers = new Map();
+
+/**
+ * Apply inverse highlighting to text nodes (grey background for all, white for gaps)
+ * This wraps the text of each gap in place to preserve existing formatting. A gap running
+ * across formatting, e.g. "[<b>cat</b>]", is wrapped a piece at a time and the first piece
+ * stands for the whole gap.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+const applyGapfillHighlight = (editor) => {
+    const body = editor.getBody();
+    const doc = editor.getDoc();
+    // 1. Set the overall editor body background to Grey (this covers all surrounding text and spaces)
+    body.classList.add('tinybackground');
+
+    const delimitchars = getDelimiters();
+    const instances = new Map();
+    const gaps = findGaps(body, delimitchars);
+    // Wrap from the last gap back so the offsets of the earlier gaps still hold.
+    gaps.map((gap, index) => {
+        // id[count]_[instance] as wrapContent does
+        const instance = instances.get(gap.answer) || 0;
+        instances.set(gap.answer, instance + 1);
+        return {...gap, id: `id${index + 1}_${instance}`};
+    }).reverse().forEach(gap => {
+        // 2. Set the background of the gap to WHITE and add clickable class with item ID
+        const spans = gap.segments.map((segment, index) => {
+            const span = doc.createElement('span');
+            span.className = 'gapfill-highlight gapfill-clickable item';
+            span.style.backgroundColor = 'white';
+            span.style.cursor = 'pointer';
+            if (index === 0) {
+                span.setAttribute(highlightAttribute, 'gap');
+                span.id = gap.id;
+                // Each gap is a button that keyboard and screen reader users can reach and open.
+                span.setAttribute('role', 'button');
+                span.tabIndex = 0;
+            } else {
+                span.setAttribute(highlightAttribute, 'gappart');
+                span.dataset.gapfillGap = gap.id;
+            }
+            return span;
+        });
+        // Show which gaps already have feedback
+        const item = new Item(gap.text, delimitchars);
+        const itemSettings = item.getItemSettings(spans[0]);
+        spans.forEach(span => {
+            span.classList.toggle('hascorrect', !!item.striptags(itemSettings.correctfeedback));
+            span.classList.toggle('hasnocorrect', !!item.striptags(itemSettings.incorrectfeedback));
+        });
+        // Badge the gaps with options of their own or hints, after the last piece of the gap
+        const hints = getHints(itemSettings).length;
+        if (hasGapOptions(itemSettings) || hints) {
+            spans[0].dataset.gapfillOptions = JSON.stringify({...getGapOptions(itemSettings), hints});
+            spans[spans.length - 1].classList.add('gapfill-hasoptions');
+        }
+        gap.segments.forEach((segment, index) => {
+            const text = segment.node.splitText(segment.start);
+            text.splitText(segment.end - segment.start);
+            text.replaceWith(spans[index]);
+            spans[index].appendChild(text);
+        });
+    });
+    labelGaps(editor);
+};
+
+/**
+ * Get the highlighted pieces of a gap that runs across formatting, after the first.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {HTMLElement} span - The first piece of the gap
+ * @returns {Array<HTMLElement>}
+ */
+const getGapParts = (editor, span) =>
+    editor.dom.select(`[${highlightAttribute}="gappart"][data-gapfill-gap="${span.id}"]`, editor.getBody());
+
+/**
+ * Get the text of a highlighted gap including delimiters, without any formatting.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {HTMLElement} span - The first piece of the gap
+ * @returns {string}
+ */
+const getGapText = (editor, span) => [span, ...getGapParts(editor, span)].map(part => part.textContent).join('');
+
+/**
+ * Give each highlighted gap an accessible name with its position and whether feedback is missing.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {Promise<void>}
+ */
+const labelGaps = async(editor) => {
+    const spans = editor.dom.select(gapSelector, editor.getBody());
+    const labels = await loadStringList(spans.map((span, index) => ({
+        key: span.classList.contains('hascorrect') && span.classList.contains('hasnocorrect')
+            ? 'gaplabel' : 'gaplabelmissingfeedback',
+        param: {number: index + 1, total: spans.length, text: getGapText(editor, span)},
+    })));
+    spans.forEach((span, index) => span.setAttribute('aria-label', labels[index]));
+    await Promise.all(spans.filter(span => span.dataset.gapfillOptions).map(span => describeOptions(editor, span)));
+};
+
+/**
+ * Fill in the badge of a gap with options of its own or hints and add them to its accessible name.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {HTMLElement} span - The first piece of the gap
+ * @returns {Promise<void>}
+ */
+const describeOptions = async(editor, span) => {
+    const options = JSON.parse(span.dataset.gapfillOptions);
+    const keys = [];
+    if (options.weight !== 1) {
+        keys.push(['gapbadgeweight', 'gapoptionweight', options.weight]);
+    }
+    if (options.casesensitive) {
+        keys.push(['gapbadgecasesensitive', 'gapoptioncasesensitive', null]);
+    }
+    if (options.width) {
+        keys.push(['gapbadgewidth', 'gapoptionwidth', options.width]);
+    }
+    if (options.hints) {
+        keys.push(['gapbadgehints', 'gapoptionhints', options.hints]);
+    }
+    const strings = await loadStringList(keys.flatMap(([badge, description, param]) => [
+        {key: badge, param},
+        {key: description, param},
+    ]));
+    const badges = strings.filter((string, index) => index % 2 === 0);
+    const descriptions = strings.filter((string, index) => index % 2 === 1);
+    const parts = [span, ...getGapParts(editor, span)];
+    const last = parts[parts.length - 1];
+    last.dataset.gapfillBadge = badges.join(' ');
+    last.title = descriptions.join(', ');
+    span.setAttribute('aria-label', `${span.getAttribute('aria-label')}, ${descriptions.join(', ')}`);
+};
+
+/**
+ * Tell screen reader users that gap mode has been switched on or off.
+ * @param {boolean} active - Whether gap mode is now on
+ * @returns {Promise<void>}
+ */
+const announceMode = async(active) => {
+    let region = document.getElementById('tiny_gapfill_announcement');
+    if (!region) {
+        region = document.createElement('div');
+        region.id = 'tiny_gapfill_announcement';
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+    }
+    const [announcement] = await loadStringList([active ? 'gapmodeon' : 'gapmodeoff']);
+    region.textContent = announcement;
+};
+
+/**
+ * Take the gap highlighting and the linter marks out of HTML, keeping the text they wrap.
+ * @param {string} html
+ * @returns {string}
+ */
+const stripTransient = (html) => {
+    if (!html.includes(highlightAttribute)) {
+        return html;
+    }
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll(`[${highlightAttribute}]`).forEach(span => span.replaceWith(...span.childNodes));
+    template.content.normalize();
+    return template.innerHTML;
+};
+
+/**
+ * Get the comment that ends an undo level holding a version of the settings.
+ * @param {number} version
+ * @returns {string}
+ */
+const settingsStamp = (version) => `<!--${settingsStampPrefix}${version}-->`;
+
+/**
+ * Take the comment naming the version of the settings out of content restored from an undo level.
+ * @param {HTMLElement} body - The editor body
+ */
+const removeSettingsStamp = (body) => {
+    const last = body?.lastChild;
+    if (last?.nodeType === Node.COMMENT_NODE && last.data.startsWith(settingsStampPrefix)) {
+        last.remove();
+    }
+};
+
+/**
+ * Remove the highlight spans, keeping the text they wrap, and the grey background.
+ * The editor content is otherwise left exactly as it is.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+const removeGapfillHighlight = (editor) => {
+    const body = editor.getBody();
+    editor.dom.select(highlightSelector, body).forEach(span => editor.dom.remove(span, true));
+    // Join the text nodes that were split around the gaps.
+    body.normalize();
+    body.classList.remove('tinybackground');
+};
+
+/**
+ * Gap mode state and behaviour for a single editor.
+ */
+export class GapfillController {
+    /** @type {Object} */
+    editor;
+    /** @type {boolean} */
+    active = false;
+    /** @type {Item|null} */
+    currentItem = null;
+    /** @type {Function|null} */
+    clickHandler = null;
+    /** @type {Function|null} */
+    keyHandler = null;
+    /** @type {Function|null} */
+    delimiterHandler = null;
+    /** @type {Function} */
+    onGapClick;
+    /** @type {Array<string>} Gap texts in document order when the settings were last moved to follow them */
+    gapTexts = [];
+    /** @type {number|null} */
+    trackTimer = null;
+    /** @type {number} Version of the settings in the form, as named in the undo levels */
+    settingsVersion = 0;
+    /** @type {number} Last version given to a change of the settings */
+    lastSettingsVersion = 0;
+
+    /**
+     * Constructor
+     * @param {Object} editor - TinyMCE editor instance
+     * @param {Function} onGapClick - Called with the controller and the clicked gap element
+     */
+    constructor(editor, onGapClick) {
+        this.editor = editor;
+        this.onGapClick = onGapClick;
+
+        // Unwrap the highlight spans whenever content is serialised, so they never reach
+        // the saved question text, autosave or anything else that calls getContent.
+        editor.on('PreInit', () => {
+            editor.serializer.addAttributeFilter(highlightAttribute, (nodes) => {
+                nodes.forEach(node => node.unwrap());
+            });
+        });
+        // Content replaced while gap mode is on (autosave restore, form reset, other plugins) is highlighted afresh.
+        editor.on('SetContent', () => {
+            removeSettingsStamp(editor.getBody());
+            if (this.active) {
+                this.refreshHighlight();
+            }
+            this.trackGapChanges();
+        });
+        // Keep feedback with its gap as the text is edited.
+        editor.on('init', () => {
+            this.gapTexts = this.readGapTexts();
+        });
+        editor.on('input change undo redo', () => {
+            clearTimeout(this.trackTimer);
+            this.trackTimer = setTimeout(() => this.trackGapChanges(), 500);
+        });
+        // Each undo level holds the settings that go with its content, without the highlighting or linter marks.
+        editor.on('BeforeAddUndo', (e) => {
+            this.trackGapChanges();
+            const stamp = settingsStamp(this.settingsVersion);
+            if (e.level.type === 'fragmented') {
+                e.level.fragments = [...e.level.fragments.map(stripTransient), stamp];
+            } else {
+                e.level.content = stripTransient(e.level.content) + stamp;
+            }
+            e.level.gapfillSettings = {version: this.settingsVersion, settings: readSettings()};
+        });
+        editor.on('Undo Redo', (e) => {
+            // Levels with iframes in them are written back without setting the content.
+            removeSettingsStamp(editor.getBody());
+            const snapshot = e.level?.gapfillSettings;
+            if (snapshot) {
+                this.settingsVersion = snapshot.version;
+                this.gapTexts = this.readGapTexts();
+                this.applySettings(snapshot.settings);
+            }
+        });
+        editor.on('remove', () => this.destroy());
+    }
+
+    /**
+     * Store new settings for the gaps as an undo level, and show them on the highlighted gaps.
+     * @param {Array<ItemSettings>} settings
+     */
+    updateSettings(settings) {
+        if (JSON.stringify(readSettings()) === JSON.stringify(settings)) {
+            this.applySettings(settings);
+            return;
+        }
+        this.editor.undoManager.transact(() => {
+            this.settingsVersion = ++this.lastSettingsVersion;
+            this.applySettings(settings);
+        });
+        this.editor.setDirty(true);
+    }
+
+    /**
+     * Replace the text of a highlighted gap and store new settings for the gaps, as one undo level.
+     * @param {HTMLElement} target - The gap element
+     * @param {string} text - The gap text including delimiters
+     * @param {Function} getSettings - Called once the text is replaced, returns the new settings
+     */
+    updateGap(target, text, getSettings) {
+        this.editor.undoManager.transact(() => {
+            this.setGapText(target, text);
+            // Move the settings of this gap, and of any gaps repeating the old or new text, to follow the edit.
+            this.trackGapChanges();
+            this.settingsVersion = ++this.lastSettingsVersion;
+            this.applySettings(getSettings());
+        });
+        this.editor.setDirty(true);
+        this.editor.nodeChanged();
+    }
+
+    /**
+     * Write settings to the form and refresh the hascorrect/hasnocorrect classes of the highlighted gaps.
+     * @param {Array<ItemSettings>} settings
+     */
+    applySettings(settings) {
+        writeSettings(settings);
+        if (this.active) {
+            this.refreshHighlight();
+        }
+    }
+
+    /**
+     * Get the text of every gap in document order.
+     * @returns {Array<string>} Gap texts without delimiters
+     */
+    readGapTexts() {
+        const body = this.editor.getBody();
+        return body ? listGaps(body).map(gap => gap.answer) : [];
+    }
+
+    /**
+     * Move the stored settings to follow their gaps if gaps have been added, removed,
+     * reordered or edited since the last time this was called.
+     */
+    trackGapChanges() {
+        clearTimeout(this.trackTimer);
+        const gapTexts = this.readGapTexts();
+        const settings = readSettings();
+        const rekeyed = rekeySettings(settings, this.gapTexts, gapTexts);
+        if (rekeyed !== settings) {
+            writeSettings(rekeyed);
+        }
+        this.gapTexts = gapTexts;
+    }
+
+    /**
+     * Get the identity of a highlighted gap from its position among the gaps.
+     * @param {HTMLElement} target - The gap element
+     * @returns {GapIdentity}
+     */
+    getGapIdentity(target) {
+        const delimitchars = getDelimiters();
+        const elements = this.getGapElements();
+        const identities = getIdentities(elements.map(element => stripDelimiters(this.getGapText(element), delimitchars)));
+        return identities[elements.indexOf(target)];
+    }
+
+    /**
+     * Get the text of a highlighted gap including delimiters, without any formatting inside it.
+     * @param {HTMLElement} target - The gap element
+     * @returns {string}
+     */
+    getGapText(target) {
+        return getGapText(this.editor, target);
+    }
+
+    /**
+     * Replace the text of a highlighted gap. The new text goes into the first piece of a gap
+     * running across formatting and the other pieces are emptied.
+     * @param {HTMLElement} target - The gap element
+     * @param {string} text - The gap text including delimiters
+     */
+    setGapText(target, text) {
+        target.textContent = text;
+        getGapParts(this.editor, target).forEach(part => {
+            part.textContent = '';
+        });
+    }
+
+    /**
+     * Highlight the gaps again, e.g. after the content or the delimiters have changed.
+     */
+    refreshHighlight() {
+        // The gaps are rebuilt, so put the focus back on the gap that had it.
+        const focused = this.getGapElements().indexOf(this.editor.getDoc().activeElement);
+        removeGapfillHighlight(this.editor);
+        applyGapfillHighlight(this.editor);
+        if (focused !== -1) {
+            const gaps = this.getGapElements();
+            gaps[Math.min(focused, gaps.length - 1)]?.focus({preventScroll: true});
+        }
+    }
+
+    /**
+     * Switch gap mode on: highlight the gaps, make them clickable and stop typing.
+     */
+    activate() {
+        if (this.active) {
+            return;
+        }
+        applyGapfillHighlight(this.editor);
+        this.registerClickHandler();
+        this.registerKeyHandler();
+        this.registerDelimiterHandler();
+        // Read-only is the only reliable way to disable typing.
+        this.editor.mode.set('readonly');
+        // Start keyboard users on the first gap.
+        this.getGapElements()[0]?.focus();
+        this.active = true;
+        this.editor.dispatch(modeChangeEvent, {active: true});
+        announceMode(true);
+    }
+
+    /**
+     * Switch gap mode off, removing the highlighting but not touching the content.
+     */
+    deactivate() {
+        if (!this.active) {
+            return;
+        }
+        removeGapfillHighlight(this.editor);
+        this.unregisterHandlers();
+        this.currentItem = null;
+        this.editor.mode.set('design');
+        this.active = false;
+        this.editor.dispatch(modeChangeEvent, {active: false});
+        announceMode(false);
+    }
+
+    /**
+     * Switch gap mode on or off.
+     */
+    toggle() {
+        if (this.active) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * Get the highlighted gaps in document order.
+     * @returns {Array<HTMLElement>}
+     */
+    getGapElements() {
+        return this.editor.dom.select(gapSelector, this.editor.getBody());
+    }
+
+    /**
+     * Scroll to a gap and open it as if it had been clicked, switching gap mode on if needed.
+     * @param {number} index - Position of the gap in document order
+     */
+    openGap(index) {
+        this.activate();
+        const target = this.getGapElements()[index];
+        if (!target) {
+            return;
+        }
+        target.focus({preventScroll: true});
+        target.scrollIntoView({block: 'center'});
+        this.currentItem = new Item(this.getGapText(target), getDelimiters(), {target});
+        this.onGapClick(this, target);
+    }
+
+    /**
+     * Register click event handler for gapfill items
+     */
+    registerClickHandler() {
+        this.clickHandler = (e) => {
+            // Check if clicked element has the gapfill-clickable class
+            if (e.target.classList.contains('gapfill-clickable')) {
+                // A later piece of a gap running across formatting stands for the first one.
+                const target = e.target.dataset.gapfillGap ? this.editor.dom.get(e.target.dataset.gapfillGap) : e.target;
+                // The full text including delimiters (e.g., "[cat]")
+                this.currentItem = new Item(this.getGapText(target), getDelimiters(), {target});
+                e.preventDefault();
+                e.stopPropagation();
+                this.onGapClick(this, target);
+            }
+        };
+        this.editor.getBody().addEventListener('click', this.clickHandler);
+    }
+
+    /**
+     * Whether the question text runs right to left, so the gap after the current one is to its left.
+     * @returns {boolean}
+     */
+    isRightToLeft() {
+        const body = this.editor.getBody();
+        return this.editor.getWin().getComputedStyle(body).direction === 'rtl';
+    }
+
+    /**
+     * Register keyboard handling for gap mode: the arrow keys, Home and End move between
+     * gaps, Enter or Space opens the focused gap, Escape leaves gap mode and the undo and
+     * redo shortcuts work as they do in the editor, feedback changes included.
+     * Tab moves between gaps as well, as each one is focusable.
+     * Left and right follow the reading direction, so in right-to-left text the left arrow moves to the next gap.
+     */
+    registerKeyHandler() {
+        this.keyHandler = (e) => {
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+                // The editor's own shortcut may have handled it already through the Undo or Redo command.
+                if (!e.defaultPrevented) {
+                    e.preventDefault();
+                    if (key === 'z' && !e.shiftKey) {
+                        this.editor.undoManager.undo();
+                    } else {
+                        this.editor.undoManager.redo();
+                    }
+                }
+                return;
+            }
+            const gaps = this.getGapElements();
+            const index = gaps.indexOf(e.target);
+            let next = null;
+            switch (this.isRightToLeft() ? mirroredKeys[e.key] || e.key : e.key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    next = index === -1 ? 0 : Math.min(index + 1, gaps.length - 1);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    next = index === -1 ? gaps.length - 1 : Math.max(index - 1, 0);
+                    break;
+                case 'Home':
+                    next = 0;
+                    break;
+                case 'End':
+                    next = gaps.length - 1;
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (index !== -1) {
+                        e.preventDefault();
+                        this.openGap(index);
+                    }
+                    return;
+                case 'Escape':
+                    e.preventDefault();
+                    this.deactivate();
+                    this.editor.focus();
+                    return;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            gaps[next]?.focus();
+        };
+        this.editor.getBody().addEventListener('keydown', this.keyHandler);
+    }
+
+    /**
+     * Rebuild the highlighting when another delimiter pair is selected while gap mode is on
+     */
+    registerDelimiterHandler() {
+        const delimiterSelect = document.getElementById('id_delimitchars');
+        if (!delimiterSelect) {
+            return;
+        }
+        this.delimiterHandler = () => this.refreshHighlight();
+        delimiterSelect.addEventListener('change', this.delimiterHandler);
+    }
+
+    /**
+     * Unregister the click, keyboard and delimiter change handlers
+     */
+    unregisterHandlers() {
+        if (this.clickHandler) {
+            this.editor.getBody()?.removeEventListener('click', this.clickHandler);
+            this.clickHandler = null;
+        }
+        if (this.keyHandler) {
+            this.editor.getBody()?.removeEventListener('keydown', this.keyHandler);
+            this.keyHandler = null;
+        }
+        if (this.delimiterHandler) {
+            document.getElementById('id_delimitchars')?.removeEventListener('change', this.delimiterHandler);
+            this.delimiterHandler = null;
+        }
+    }
+
+    /**
+     * Release everything held for the editor when it is removed.
+     */
+    destroy() {
+        clearTimeout(this.trackTimer);
+        this.unregisterHandlers();
+        this.currentItem = null;
+        this.active = false;
+        if (controllers.get(this.editor) === this) {
+            controllers.delete(this.editor);
+        }
+    }
+}
+
+/**
+ * Create the controller for an editor, replacing any left over from an earlier initialisation.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {Function} onGapClick - Called with the controller and the clicked gap element
+ * @returns {GapfillController}
+ */
+export const createController = (editor, onGapClick) => {
+    controllers.get(editor)?.destroy();
+    const controller = new GapfillController(editor, onGapClick);
+    controllers.set(editor, controller);
+    return controller;
+};
+
+/**
+ * Get the controller for an editor.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {GapfillController|undefined}
+ */
+export const getController = (editor) => controllers.get(editor);
+
+export default {
+    createController,
+    getController,
+};
@@ -0,0 +1,180 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Manage the distractors (wrong answers) used by drag drop and dropdown questions.
+ *
+ * @module     tiny_gapfill/distractors
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {createInputRow, loadStrings} from 'tiny_gapfill/common';
+import {listGaps} from 'tiny_gapfill/Item';
+import {splitAlternatives} from 'tiny_gapfill/answers';
+
+/**
+ * Get the wrong answers field of the question form.
+ * @returns {HTMLInputElement|null}
+ */
+const getDistractorField = () => document.getElementById('id_wronganswers');
+
+/**
+ * Split the comma separated value of the wrong answers field.
+ * @param {string} value
+ * @returns {Array<string>} The distractors
+ */
+export const parseDistractors = (value) => value.split(',')
+    .map(distractor => distractor.trim())
+    .filter(distractor => distractor !== '');
+
+/**
+ * Find the distractors that are also a correct answer for one of the gaps.
+ * @param {Array<string>} distractors
+ * @param {Array<string>} answers - The correct answers of every gap
+ * @param {boolean} casesensitive - Whether the question compares answers case sensitively
+ * @returns {Array<number>} Indexes of the duplicated distractors
+ */
+export const findDuplicates = (distractors, answers, casesensitive) => {
+    const normalise = (text) => casesensitive ? text.trim() : text.trim().toLowerCase();
+    const correct = new Set(answers.map(normalise));
+    return distractors.reduce((duplicates, distractor, index) => {
+        if (correct.has(normalise(distractor))) {
+            duplicates.push(index);
+        }
+        return duplicates;
+    }, []);
+};
+
+/**
+ * The language strings used by the dialog.
+ * @type {Array<string>}
+ */
+const stringKeys = ['distractors', 'distractor', 'adddistractor', 'removedistractor', 'distractorduplicate',
+    'gaps', 'nogaps', 'nodistractorfield'];
+
+/**
+ * Add a row for one distractor to the dialog.
+ * @param {HTMLElement} container - The element holding the distractor rows
+ * @param {string} value - The distractor
+ * @param {Object} strings - The loaded language strings
+ */
+const addDistractorRow = (container, value, strings) => {
+    const row = createInputRow({
+        region: 'gapfill-distractor',
+        value,
+        label: strings.distractor,
+        removeAction: 'gapfill-remove-distractor',
+        removeLabel: strings.removedistractor,
+    });
+    row.classList.add('has-validation');
+    const feedback = document.createElement('div');
+    feedback.className = 'invalid-feedback';
+    feedback.textContent = strings.distractorduplicate;
+    row.append(feedback);
+    container.appendChild(row);
+};
+
+/**
+ * Show the gaps and the distractors side by side, and write the distractors back to the form.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+export const displayDistractorDialog = async(editor) => {
+    const strings = await loadStrings(stringKeys);
+    const field = getDistractorField();
+    if (!field) {
+        editor.notificationManager.open({text: strings.nodistractorfield, type: 'warning', timeout: 5000});
+        return;
+    }
+    const casesensitive = !!document.getElementById('id_casesensitive')?.checked;
+    const gaps = listGaps(editor.getBody());
+    const answers = gaps.flatMap(gap => splitAlternatives(gap.answer));
+
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.distractors,
+        body: `
+            <div class="container-fluid">
+                <div class="row">
+                    <div class="col-md-6">
+                        <h5>${strings.gaps}</h5>
+                        <ul class="list-unstyled" data-region="gapfill-gaps"></ul>
+                    </div>
+                    <div class="col-md-6">
+                        <h5>${strings.distractors}</h5>
+                        <div data-region="gapfill-distractors"></div>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="gapfill-add-distractor">
+                            ${strings.adddistractor}</button>
+                    </div>
+                </div>
+            </div>
+        `,
+        large: true,
+    });
+    const root = modal.getRoot()[0];
+
+    const gapList = root.querySelector('[data-region="gapfill-gaps"]');
+    if (gaps.length) {
+        gaps.forEach(gap => {
+            const entry = document.createElement('li');
+            entry.textContent = gap.gaptext;
+            gapList.appendChild(entry);
+        });
+    } else {
+        const entry = document.createElement('li');
+        entry.className = 'text-muted';
+        entry.textContent = strings.nogaps;
+        gapList.appendChild(entry);
+    }
+
+    const container = root.querySelector('[data-region="gapfill-distractors"]');
+    const readDistractors = () => [...container.querySelectorAll('input')].map(input => input.value.trim());
+    const flagDuplicates = () => {
+        const duplicates = findDuplicates(readDistractors(), answers, casesensitive);
+        container.querySelectorAll('input').forEach((input, index) => {
+            input.classList.toggle('is-invalid', duplicates.includes(index));
+        });
+    };
+    parseDistractors(field.value).forEach(distractor => addDistractorRow(container, distractor, strings));
+    if (!container.children.length) {
+        addDistractorRow(container, '', strings);
+    }
+    flagDuplicates();
+
+    modal.getRoot().on('click', '[data-action="gapfill-add-distractor"]', () => {
+        addDistractorRow(container, '', strings);
+        container.lastElementChild.querySelector('input').focus();
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-remove-distractor"]', (e) => {
+        e.currentTarget.closest('[data-region="gapfill-distractor"]').remove();
+        flagDuplicates();
+    });
+    container.addEventListener('input', flagDuplicates);
+
+    modal.getRoot().on(ModalEvents.save, () => {
+        field.value = readDistractors().filter(distractor => distractor !== '').join(',');
+        field.dispatchEvent(new Event('change', {bubbles: true}));
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    parseDistractors,
+    findDuplicates,
+    displayDistractorDialog,
+};
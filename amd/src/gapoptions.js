@@ -0,0 +1,67 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The Gap options section of the gap dialog: weight, case sensitivity and input width.
+ *
+ * @module     tiny_gapfill/gapoptions
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getGapOptions} from 'tiny_gapfill/itemsettings';
+
+/**
+ * Get the context of the gap options section template.
+ * @param {ItemSettings} itemSettings - The settings of the gap
+ * @returns {Object}
+ */
+export const getGapOptionsContext = (itemSettings) => ({
+    ...getGapOptions(itemSettings),
+    // The question wide setting already makes every gap case sensitive.
+    questioncasesensitive: !!document.getElementById('id_casesensitive')?.checked,
+});
+
+/**
+ * Read the gap options section of a modal.
+ * @param {HTMLElement} root - The modal root element
+ * @param {ItemSettings} itemSettings - The settings of the gap, whose case sensitivity is kept while the
+ *     question wide setting disables the checkbox
+ * @returns {GapOptions|null} The options, or null if one is not allowed
+ */
+export const readGapOptions = (root, itemSettings) => {
+    const weightInput = root.querySelector('#gapfill-weight');
+    const widthInput = root.querySelector('#gapfill-width');
+    const casesensitive = root.querySelector('#gapfill-casesensitive');
+    const weight = Number(weightInput.value);
+    const width = widthInput.value.trim() === '' ? 0 : Number(widthInput.value);
+    const weightValid = weightInput.value.trim() !== '' && Number.isFinite(weight) && weight > 0;
+    const widthValid = Number.isInteger(width) && width >= 0;
+    weightInput.classList.toggle('is-invalid', !weightValid);
+    widthInput.classList.toggle('is-invalid', !widthValid);
+    if (!weightValid || !widthValid) {
+        return null;
+    }
+    return {
+        weight,
+        casesensitive: casesensitive.disabled ? getGapOptions(itemSettings).casesensitive : casesensitive.checked,
+        width,
+    };
+};
+
+export default {
+    getGapOptionsContext,
+    readGapOptions,
+};
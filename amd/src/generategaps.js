@@ -0,0 +1,349 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Turn words of a passage into gaps: every nth word, words from a list or words matching
+ * a regular expression. Text is found the way wrapContent finds it, so script, button
+ * and input content is never changed, and words already in gaps are left alone.
+ *
+ * @module     tiny_gapfill/generategaps
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import Notification from 'core/notification';
+import {add as addToast} from 'core/toast';
+import {loadStrings} from 'tiny_gapfill/common';
+import {getDelimiters, findTextRuns, getSegments, tokenize} from 'tiny_gapfill/tokenizer';
+
+/**
+ * A word: letters and digits, with apostrophes or hyphens inside it.
+ * @type {RegExp}
+ */
+const wordPattern = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * How words are chosen to become gaps.
+ * @typedef {Object} GenerateStrategy
+ * @property {string} type - nth, list or regex
+ * @property {number} [n] - For nth, gap every nth word
+ * @property {number} [minlength] - For nth, words shorter than this are skipped and not counted
+ * @property {Array<string>} [words] - For list, the words to gap in lower case
+ * @property {RegExp} [regex] - For regex, the expression a word must match in full
+ */
+
+/**
+ * A word chosen to become a gap.
+ * @typedef {Object} PlannedGap
+ * @property {string} word
+ * @property {number} run - Index of the text run the word is in
+ * @property {number} start - Offset of the word in the run
+ * @property {Array<GapSegment>} segments - The parts of the word in document order
+ */
+
+/**
+ * The content before and after the last generation in each editor, so it can be undone.
+ * @type {WeakMap<Object, {before: string, after: string}>}
+ */
+const generations = new WeakMap();
+
+/**
+ * Read a pasted list of words, separated by commas, semicolons or new lines.
+ * @param {string} text
+ * @returns {Array<string>} The words in lower case without duplicates
+ */
+export const parseWordList = (text) => [...new Set(text.split(/[\r\n,;]+/)
+    .map(word => word.trim().toLowerCase())
+    .filter(word => word !== ''))];
+
+/**
+ * Build the expression a word must match in full.
+ * @param {string} pattern - The regular expression as typed
+ * @returns {RegExp|null} The expression, or null if the pattern is empty or not valid
+ */
+export const parsePattern = (pattern) => {
+    if (pattern.trim() === '') {
+        return null;
+    }
+    try {
+        return new RegExp(`^(?:${pattern})$`, 'u');
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Choose the words under an element that become gaps.
+ * @param {Node} root - The element to search, e.g. the editor body
+ * @param {GenerateStrategy} strategy
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {Array<PlannedGap>} The words in document order
+ */
+export const planGaps = (root, strategy, delimitchars = getDelimiters()) => {
+    let count = 0;
+    const isChosen = (word) => {
+        if (strategy.type === 'nth') {
+            if (word.length < strategy.minlength) {
+                return false;
+            }
+            count++;
+            return count % strategy.n === 0;
+        }
+        if (strategy.type === 'list') {
+            return strategy.words.includes(word.toLowerCase());
+        }
+        return strategy.regex.test(word);
+    };
+    const planned = [];
+    findTextRuns(root).forEach((run, runIndex) => {
+        // Text with a stray delimiter is left alone, a new gap there would pair up with it.
+        tokenize(run.text, delimitchars)
+            .filter(token => !token.isgap && ![...delimitchars].some(char => token.text.includes(char)))
+            .forEach(token => {
+                for (const match of token.text.matchAll(wordPattern)) {
+                    if (isChosen(match[0])) {
+                        const start = token.start + match.index;
+                        planned.push({
+                            word: match[0],
+                            run: runIndex,
+                            start,
+                            segments: getSegments(run, start, start + match[0].length),
+                        });
+                    }
+                }
+            });
+    });
+    return planned;
+};
+
+/**
+ * Put delimiters around the planned words, in the text nodes they are in.
+ * @param {Array<PlannedGap>} planned - Words planned by planGaps on the same content
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ */
+export const insertGaps = (planned, delimitchars = getDelimiters()) => {
+    // From the last word back so the offsets of the earlier words still hold.
+    [...planned].reverse().forEach(({segments}) => {
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        last.node.insertData(last.end, delimitchars.charAt(1));
+        first.node.insertData(first.start, delimitchars.charAt(0));
+    });
+};
+
+/**
+ * Whether the gaps generated last in an editor can be undone.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const hasGeneration = (editor) => generations.has(editor);
+
+/**
+ * Put the content back as it was before the last generation, as a step that can be undone.
+ * If the content has changed since, the changes are lost, so ask first.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {Promise<void>}
+ */
+export const undoGeneration = async(editor) => {
+    const generation = generations.get(editor);
+    if (!generation) {
+        return;
+    }
+    if (editor.getContent() !== generation.after) {
+        const strings = await loadStrings(['undogenerate', 'undogeneratechanged']);
+        try {
+            await Notification.saveCancelPromise(strings.undogenerate, strings.undogeneratechanged, strings.undogenerate);
+        } catch (e) {
+            return;
+        }
+    }
+    editor.undoManager.transact(() => editor.setContent(generation.before));
+    generations.delete(editor);
+    editor.setDirty(true);
+    editor.nodeChanged();
+};
+
+/**
+ * The language strings used by the dialog.
+ * @type {Array<string>}
+ */
+const stringKeys = ['generategaps', 'generatestrategy', 'generatenth', 'generatelist', 'generateregex', 'generateinterval',
+    'generateminlength', 'generatewords', 'generatepattern', 'generateinvalidpattern', 'generatepreview', 'generatenone',
+    'generateinsert'];
+
+/**
+ * Read the strategy chosen in the dialog.
+ * @param {HTMLElement} root - The modal root element
+ * @returns {GenerateStrategy|null} The strategy, or null if it cannot be used as it is
+ */
+const readStrategy = (root) => {
+    const type = root.querySelector('#gapfill-generate-strategy').value;
+    const patternInput = root.querySelector('#gapfill-generate-pattern');
+    patternInput.classList.remove('is-invalid');
+    if (type === 'nth') {
+        const n = parseInt(root.querySelector('#gapfill-generate-n').value, 10);
+        const minlength = parseInt(root.querySelector('#gapfill-generate-minlength').value, 10) || 0;
+        return n > 0 ? {type, n, minlength} : null;
+    }
+    if (type === 'list') {
+        const words = parseWordList(root.querySelector('#gapfill-generate-words').value);
+        return words.length ? {type, words} : null;
+    }
+    const regex = parsePattern(patternInput.value);
+    patternInput.classList.toggle('is-invalid', regex === null && patternInput.value.trim() !== '');
+    return regex ? {type, regex} : null;
+};
+
+/**
+ * Show the passage with the words that would become gaps marked.
+ * @param {HTMLElement} container - The preview element
+ * @param {Node} body - The editor body
+ * @param {Array<PlannedGap>} planned
+ * @param {string} delimitchars
+ */
+const renderPreview = (container, body, planned, delimitchars) => {
+    container.replaceChildren();
+    findTextRuns(body).forEach((run, runIndex) => {
+        if (run.text.trim() === '') {
+            return;
+        }
+        const paragraph = document.createElement('p');
+        let last = 0;
+        planned.filter(gap => gap.run === runIndex).forEach(gap => {
+            paragraph.append(run.text.substring(last, gap.start));
+            const mark = document.createElement('mark');
+            mark.textContent = delimitchars.charAt(0) + gap.word + delimitchars.charAt(1);
+            paragraph.append(mark);
+            last = gap.start + gap.word.length;
+        });
+        paragraph.append(run.text.substring(last));
+        container.appendChild(paragraph);
+    });
+};
+
+/**
+ * Ask how to choose words, preview the gaps they would make and insert them into the editor
+ * as one step that can be undone.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayGenerateDialog = async(controller) => {
+    const editor = controller.editor;
+    const strings = await loadStrings(stringKeys);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.generategaps,
+        body: `
+            <div class="form-group">
+                <label for="gapfill-generate-strategy">${strings.generatestrategy}</label>
+                <select class="custom-select" id="gapfill-generate-strategy">
+                    <option value="nth">${strings.generatenth}</option>
+                    <option value="list">${strings.generatelist}</option>
+                    <option value="regex">${strings.generateregex}</option>
+                </select>
+            </div>
+            <div class="form-row" data-strategy="nth">
+                <div class="form-group col-md-6">
+                    <label for="gapfill-generate-n">${strings.generateinterval}</label>
+                    <input type="number" class="form-control" id="gapfill-generate-n" min="1" step="1" value="7">
+                </div>
+                <div class="form-group col-md-6">
+                    <label for="gapfill-generate-minlength">${strings.generateminlength}</label>
+                    <input type="number" class="form-control" id="gapfill-generate-minlength" min="0" step="1" value="4">
+                </div>
+            </div>
+            <div class="form-group" data-strategy="list" hidden>
+                <label for="gapfill-generate-words">${strings.generatewords}</label>
+                <textarea class="form-control" id="gapfill-generate-words" rows="3"></textarea>
+            </div>
+            <div class="form-group" data-strategy="regex" hidden>
+                <label for="gapfill-generate-pattern">${strings.generatepattern}</label>
+                <input type="text" class="form-control" id="gapfill-generate-pattern" spellcheck="false">
+                <div class="invalid-feedback">${strings.generateinvalidpattern}</div>
+            </div>
+            <h5>${strings.generatepreview}</h5>
+            <p class="font-weight-bold" data-region="gapfill-generate-count" aria-live="polite"></p>
+            <div class="gapfill-generate-preview border rounded p-2" data-region="gapfill-generate-preview"></div>
+        `,
+        large: true,
+    });
+    modal.setSaveButtonText(strings.generateinsert);
+    const root = modal.getRoot()[0];
+    const strategySelect = root.querySelector('#gapfill-generate-strategy');
+    const count = root.querySelector('[data-region="gapfill-generate-count"]');
+    const preview = root.querySelector('[data-region="gapfill-generate-preview"]');
+    const delimitchars = getDelimiters();
+
+    const updatePreview = async() => {
+        const strategy = readStrategy(root);
+        const planned = strategy ? planGaps(editor.getBody(), strategy, delimitchars) : [];
+        renderPreview(preview, editor.getBody(), planned, delimitchars);
+        if (planned.length) {
+            const {generatecount} = await loadStrings([{key: 'generatecount', param: planned.length}]);
+            count.textContent = generatecount;
+        } else {
+            count.textContent = strings.generatenone;
+        }
+    };
+    strategySelect.addEventListener('change', () => {
+        root.querySelectorAll('[data-strategy]').forEach(group => {
+            group.hidden = group.dataset.strategy !== strategySelect.value;
+        });
+    });
+    let timer;
+    root.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(updatePreview, 300);
+    });
+    root.addEventListener('change', updatePreview);
+    await updatePreview();
+
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        clearTimeout(timer);
+        const strategy = readStrategy(root);
+        const planned = strategy ? planGaps(editor.getBody(), strategy, delimitchars) : [];
+        if (!planned.length) {
+            e.preventDefault();
+            updatePreview();
+            return;
+        }
+        const before = editor.getContent();
+        editor.undoManager.transact(() => insertGaps(planned, delimitchars));
+        generations.set(editor, {before, after: editor.getContent()});
+        // Feedback follows the gaps that moved up an instance because a new gap with their text came first.
+        controller.trackGapChanges();
+        editor.setDirty(true);
+        editor.nodeChanged();
+        loadStrings([{key: 'generatedone', param: planned.length}])
+            .then(({generatedone}) => addToast(generatedone))
+            .catch(Notification.exception);
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => {
+        clearTimeout(timer);
+        modal.destroy();
+    });
+    modal.show();
+};
+
+export default {
+    parseWordList,
+    parsePattern,
+    planGaps,
+    insertGaps,
+    hasGeneration,
+    undoGeneration,
+    displayGenerateDialog,
+};
@@ -0,0 +1,145 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The Hints section of the gap dialog, an ordered list of hints given one after another
+ * in interactive mode.
+ *
+ * @module     tiny_gapfill/hintsform
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Notification from 'core/notification';
+import {loadStrings, loadStringList} from 'tiny_gapfill/common';
+import {getHints} from 'tiny_gapfill/itemsettings';
+
+/**
+ * The language strings used by the hints section.
+ * @type {Array<string>}
+ */
+const stringKeys = ['removehint', 'movehintup', 'movehintdown'];
+
+/**
+ * Create a small button for a hint row.
+ * @param {string} action - The data-action of the button
+ * @param {string} label - Accessible label of the button
+ * @param {string} text - Visible text of the button
+ * @returns {HTMLButtonElement}
+ */
+const createButton = (action, label, text) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-outline-secondary';
+    button.dataset.action = action;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    return button;
+};
+
+/**
+ * Number the hint rows and enable the move buttons that can be used, then label the rows by their number.
+ * @param {HTMLElement} container - The element holding the hint rows
+ * @returns {Promise<void>} Resolves when the rows are labelled
+ */
+const updateRows = async(container) => {
+    const rows = [...container.children];
+    rows.forEach((row, index) => {
+        row.querySelector('.input-group-text').textContent = index + 1;
+        row.querySelector('[data-action="gapfill-move-hint-up"]').disabled = index === 0;
+        row.querySelector('[data-action="gapfill-move-hint-down"]').disabled = index === rows.length - 1;
+    });
+    const labels = await loadStringList(rows.map((row, index) => ({key: 'hint', param: index + 1})));
+    rows.forEach((row, index) => row.querySelector('input').setAttribute('aria-label', labels[index]));
+};
+
+/**
+ * Add a row for one hint to the hints section of the gap dialog.
+ * @param {HTMLElement} container - The element holding the hint rows
+ * @param {string} value - The hint
+ * @param {Object} strings - The loaded language strings
+ */
+const addHintRow = (container, value, strings) => {
+    const row = document.createElement('div');
+    row.className = 'input-group mb-1';
+    row.dataset.region = 'gapfill-hint';
+    const number = document.createElement('div');
+    number.className = 'input-group-prepend';
+    number.innerHTML = '<span class="input-group-text"></span>';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control';
+    input.dir = 'auto';
+    input.value = value;
+    const buttons = document.createElement('div');
+    buttons.className = 'input-group-append';
+    buttons.append(
+        createButton('gapfill-move-hint-up', strings.movehintup, '↑'),
+        createButton('gapfill-move-hint-down', strings.movehintdown, '↓'),
+        createButton('gapfill-remove-hint', strings.removehint, '×'),
+    );
+    row.append(number, input, buttons);
+    container.appendChild(row);
+};
+
+/**
+ * Read the hints section of the gap dialog, leaving out empty hints.
+ * @param {HTMLElement} root - The modal root element
+ * @returns {Array<string>} The hints in the order they are given
+ */
+export const readHints = (root) => [...root.querySelectorAll('[data-region="gapfill-hint"] input')]
+    .map(input => input.value.trim())
+    .filter(hint => hint !== '');
+
+/**
+ * Fill in the hints section of a modal and wire up its controls.
+ * @param {Object} modal - The modal containing the section
+ * @param {ItemSettings} itemSettings - The settings of the gap
+ */
+export const initHintsSection = async(modal, itemSettings) => {
+    const strings = await loadStrings(stringKeys);
+    const root = modal.getRoot()[0];
+    const container = root.querySelector('[data-region="gapfill-hints"]');
+    getHints(itemSettings).forEach(hint => addHintRow(container, hint, strings));
+    await updateRows(container);
+
+    modal.getRoot().on('click', '[data-action="gapfill-add-hint"]', () => {
+        addHintRow(container, '', strings);
+        updateRows(container).catch(Notification.exception);
+        container.lastElementChild.querySelector('input').focus();
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-remove-hint"]', (e) => {
+        e.currentTarget.closest('[data-region="gapfill-hint"]').remove();
+        updateRows(container).catch(Notification.exception);
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-move-hint-up"], [data-action="gapfill-move-hint-down"]', (e) => {
+        const button = e.currentTarget;
+        const row = button.closest('[data-region="gapfill-hint"]');
+        if (button.dataset.action === 'gapfill-move-hint-up') {
+            row.previousElementSibling?.before(row);
+        } else {
+            row.nextElementSibling?.after(row);
+        }
+        updateRows(container).catch(Notification.exception);
+        // Keep the focus on the moved hint, unless the button it was on can no longer be used
+        (button.disabled ? row.querySelector('input') : button).focus();
+    });
+};
+
+export default {
+    readHints,
+    initHintsSection,
+};
@@ -0,0 +1,336 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Export gap feedback to CSV or JSON and import it again, e.g. from a spreadsheet
+ * or a bank of feedback shared between courses.
+ *
+ * @module     tiny_gapfill/importexport
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {downloadFile, downloadJson, loadStrings} from 'tiny_gapfill/common';
+import {listGaps} from 'tiny_gapfill/Item';
+import {readSettings, findSettings, saveSettings} from 'tiny_gapfill/itemsettings';
+
+/**
+ * The columns of an export, in order.
+ * @type {Array<string>}
+ */
+const columns = ['gaptext', 'occurrence', 'correctfeedback', 'incorrectfeedback'];
+
+/**
+ * A row of exported feedback.
+ * @typedef {Object} FeedbackRow
+ * @property {string} gaptext - The gap text without delimiters
+ * @property {number} occurrence - Which of the gaps with this text it is, counting from 1 as the dialogs do
+ * @property {string} correctfeedback
+ * @property {string} incorrectfeedback
+ */
+
+/**
+ * A row of imported feedback, with the gap identified the way the stored settings identify it.
+ * @typedef {Object} ImportedRow
+ * @property {string} gaptext - The gap text without delimiters
+ * @property {number} instance - Number of earlier gaps with the same text
+ * @property {string} correctfeedback
+ * @property {string} incorrectfeedback
+ */
+
+/**
+ * Quote a value for CSV if it needs it.
+ * @param {string|number} value
+ * @returns {string}
+ */
+const quoteCsv = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/**
+ * Write feedback rows as CSV with a header row.
+ * @param {Array<FeedbackRow>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(quoteCsv).join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Split CSV text into records of fields, allowing quoted fields with commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRecords = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Bring an imported row into shape, or return null if it has no gap text.
+ * Files exported before the occurrence column have an instance column counting from 0 instead.
+ * @param {Object} row
+ * @returns {ImportedRow|null}
+ */
+const normaliseRow = (row) => {
+    const gaptext = String(row?.gaptext ?? '').trim();
+    if (gaptext === '') {
+        return null;
+    }
+    const occurrence = parseInt(row.occurrence, 10);
+    return {
+        gaptext,
+        instance: Number.isNaN(occurrence) ? parseInt(row.instance, 10) || 0 : Math.max(occurrence - 1, 0),
+        correctfeedback: String(row.correctfeedback ?? ''),
+        incorrectfeedback: String(row.incorrectfeedback ?? ''),
+    };
+};
+
+/**
+ * Read feedback rows from CSV or JSON, worked out from the content.
+ * CSV needs a header row naming at least the gaptext column.
+ * @param {string} text - The content of the imported file
+ * @returns {Array<ImportedRow>|null} The rows, or null if the content cannot be read
+ */
+export const parseFeedback = (text) => {
+    const content = text.replace(/^\uFEFF/, '').trim();
+    let rows;
+    if (content.startsWith('[') || content.startsWith('{')) {
+        try {
+            const data = JSON.parse(content);
+            rows = Array.isArray(data) ? data : Object.values(data);
+        } catch (e) {
+            return null;
+        }
+    } else {
+        const [header, ...records] = parseCsvRecords(content);
+        const names = (header || []).map(name => name.trim().toLowerCase());
+        if (!names.includes('gaptext')) {
+            return null;
+        }
+        rows = records.map(fields => Object.fromEntries(names.map((name, index) => [name, fields[index] ?? ''])));
+    }
+    return rows.map(normaliseRow).filter(row => row !== null);
+};
+
+/**
+ * Collect the feedback of every gap in the editor in document order.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {Array<FeedbackRow>}
+ */
+export const collectFeedback = (editor) => {
+    const settings = readSettings();
+    return listGaps(editor.getBody()).map(gap => {
+        const found = findSettings(settings, {gaptext: gap.answer, instance: gap.instance});
+        return {
+            gaptext: gap.answer,
+            occurrence: gap.instance + 1,
+            correctfeedback: found?.correctfeedback || '',
+            incorrectfeedback: found?.incorrectfeedback || '',
+        };
+    });
+};
+
+/**
+ * Download the feedback of every gap as a file.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {string} format - csv or json
+ */
+export const exportFeedback = (editor, format) => {
+    const rows = collectFeedback(editor);
+    if (format === 'json') {
+        downloadJson('gapfill-feedback.json', rows);
+    } else {
+        downloadFile('gapfill-feedback.csv', toCsv(rows), 'text/csv');
+    }
+};
+
+/**
+ * Work out what importing each row would do to the gaps in the editor.
+ * @param {Array<ImportedRow>} rows - The imported rows
+ * @param {Array<GapInfo>} gaps - The gaps in the editor
+ * @param {Array<ItemSettings>} settings - The stored settings
+ * @returns {Array<{row: ImportedRow, gap: GapInfo|undefined, action: string}>}
+ *     The action is create, overwrite or unmatched
+ */
+export const planImport = (rows, gaps, settings) => rows.map(row => {
+    const gap = gaps.find(candidate => candidate.answer === row.gaptext && candidate.instance === row.instance);
+    if (!gap) {
+        return {row, gap, action: 'unmatched'};
+    }
+    const existing = settings.find(entry => entry.gaptext === row.gaptext && entry.instance === row.instance);
+    const hasFeedback = existing && (existing.correctfeedback || existing.incorrectfeedback);
+    return {row, gap, action: hasFeedback ? 'overwrite' : 'create'};
+});
+
+/**
+ * The language strings used by the import dialog.
+ * @type {Array<string>}
+ */
+const stringKeys = ['importfeedback', 'importfile', 'importfilehint', 'importchoosefile', 'importinvalid', 'importnorows',
+    'import', 'importaction', 'importcreate', 'importoverwrite', 'importunmatched', 'gap', 'occurrence', 'correctfeedback',
+    'incorrectfeedback'];
+
+/**
+ * Ask for a CSV or JSON file, preview what importing it would create, overwrite or leave
+ * unmatched and merge the matched rows into the itemsettings field.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayImportDialog = async(controller) => {
+    const strings = await loadStrings(stringKeys);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.importfeedback,
+        body: `
+            <div class="form-group">
+                <label for="gapfill-import-file">${strings.importfile}</label>
+                <input type="file" class="form-control-file" id="gapfill-import-file" accept=".csv,.json,text/csv,application/json"
+                    aria-describedby="gapfill-import-file-hint">
+                <div class="invalid-feedback" data-region="gapfill-import-error"></div>
+                <small class="form-text text-muted" id="gapfill-import-file-hint">${strings.importfilehint}</small>
+            </div>
+            <table class="table table-sm" hidden>
+                <thead>
+                    <tr>
+                        <th scope="col">${strings.gap}</th>
+                        <th scope="col">${strings.occurrence}</th>
+                        <th scope="col">${strings.correctfeedback}</th>
+                        <th scope="col">${strings.incorrectfeedback}</th>
+                        <th scope="col">${strings.importaction}</th>
+                    </tr>
+                </thead>
+                <tbody data-region="gapfill-import-preview"></tbody>
+            </table>
+        `,
+        large: true,
+    });
+    modal.setSaveButtonText(strings.import);
+    const root = modal.getRoot()[0];
+    const input = root.querySelector('#gapfill-import-file');
+    const error = root.querySelector('[data-region="gapfill-import-error"]');
+    const tbody = root.querySelector('[data-region="gapfill-import-preview"]');
+    const actionLabels = {
+        create: strings.importcreate,
+        overwrite: strings.importoverwrite,
+        unmatched: strings.importunmatched,
+    };
+    let plan = [];
+
+    const showError = (message) => {
+        error.textContent = message;
+        error.classList.toggle('d-block', message !== '');
+        input.classList.toggle('is-invalid', message !== '');
+    };
+    input.addEventListener('change', async() => {
+        plan = [];
+        tbody.replaceChildren();
+        tbody.closest('table').hidden = true;
+        showError('');
+        const file = input.files[0];
+        if (!file) {
+            return;
+        }
+        const rows = parseFeedback(await file.text());
+        if (rows === null) {
+            showError(strings.importinvalid);
+            return;
+        }
+        if (!rows.length) {
+            showError(strings.importnorows);
+            return;
+        }
+        plan = planImport(rows, listGaps(controller.editor.getBody()), readSettings());
+        plan.forEach(({row, action}) => {
+            const tr = tbody.insertRow();
+            tr.className = action === 'unmatched' ? 'text-muted' : '';
+            [row.gaptext, String(row.instance + 1), row.correctfeedback.replace(/(<([^>]+)>)/gi, ''),
+                row.incorrectfeedback.replace(/(<([^>]+)>)/gi, ''), actionLabels[action]].forEach(text => {
+                tr.insertCell().textContent = text;
+            });
+        });
+        tbody.closest('table').hidden = false;
+    });
+
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        if (!plan.length) {
+            e.preventDefault();
+            if (error.textContent === '') {
+                showError(strings.importchoosefile);
+            }
+            return;
+        }
+        const questionid = document.querySelector('input[name=id]')?.value || null;
+        let settings = readSettings();
+        plan.filter(({action}) => action !== 'unmatched').forEach(({row, gap}) => {
+            const existing = settings.find(entry => entry.gaptext === row.gaptext && entry.instance === row.instance);
+            settings = saveSettings(settings, {
+                ...existing,
+                ...row,
+                itemid: gap.itemid,
+                questionid,
+            });
+        });
+        controller.updateSettings(settings);
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    toCsv,
+    parseFeedback,
+    collectFeedback,
+    planImport,
+    exportFeedback,
+    displayImportDialog,
+};
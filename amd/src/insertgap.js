@@ -0,0 +1,106 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Turn the selected text into a gap.
+ *
+ * @module     tiny_gapfill/insertgap
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {loadStrings} from 'tiny_gapfill/common';
+import {getDelimiters} from 'tiny_gapfill/tokenizer';
+import {renderAnswersSection, initAnswersSection, readAnswers} from 'tiny_gapfill/answerform';
+
+/**
+ * Check whether a selection can be turned into a gap.
+ * @param {Range} rng - The selected range
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @returns {string|null} The identifier of the string explaining the problem, or null if there is none
+ */
+export const getSelectionProblem = (rng, delimitchars) => {
+    const text = rng.toString();
+    if (rng.collapsed || text.trim() === '') {
+        return 'insertgapnoselection';
+    }
+    // Anything other than plain text means the selection starts or ends inside another element.
+    const fragment = rng.cloneContents();
+    if (Array.prototype.some.call(fragment.childNodes, node => node.nodeType !== Node.TEXT_NODE)) {
+        return 'insertgapcrosselements';
+    }
+    if (text.includes(delimitchars.charAt(0)) || text.includes(delimitchars.charAt(1))) {
+        return 'insertgapcontainsdelimiters';
+    }
+    return null;
+};
+
+/**
+ * Wrap the current selection in the delimiters selected on the question form,
+ * after letting the user add further alternatives.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+export const insertGap = async(editor) => {
+    const delimitchars = getDelimiters();
+    const problem = getSelectionProblem(editor.selection.getRng(), delimitchars);
+    if (problem) {
+        editor.notificationManager.open({
+            text: (await loadStrings([problem]))[problem],
+            type: 'warning',
+            timeout: 5000,
+        });
+        return;
+    }
+
+    // Whitespace at either end of the selection stays outside the gap.
+    const selected = editor.selection.getRng().toString();
+    const leading = selected.match(/^\s*/)[0];
+    const trailing = selected.match(/\s*$/)[0];
+    const bookmark = editor.selection.getBookmark(2, true);
+
+    const [strings, answersSection] = await Promise.all([
+        loadStrings(['insertgap']),
+        renderAnswersSection(),
+    ]);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.insertgap,
+        body: `<div class="container-fluid">${answersSection}</div>`,
+    });
+    await initAnswersSection(modal, selected.trim());
+    modal.show();
+
+    modal.getRoot().on(ModalEvents.save, (e) => {
+        const answer = readAnswers(modal.getRoot()[0], delimitchars);
+        if (answer === null) {
+            e.preventDefault();
+            return;
+        }
+        const marker = delimitchars.charAt(0) + answer + delimitchars.charAt(1);
+        editor.focus();
+        editor.selection.moveToBookmark(bookmark);
+        editor.undoManager.transact(() => {
+            editor.selection.setContent(editor.dom.encode(leading + marker + trailing));
+        });
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+};
+
+export default {
+    getSelectionProblem,
+    insertGap,
+};
@@ -0,0 +1,356 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Read, write and key the per gap settings held in the hidden itemsettings field.
+ *
+ * A gap is identified by its text and its instance, the number of earlier gaps
+ * with the same text. Unlike its position in the question, that does not change
+ * when other gaps are added, removed or moved, and it tells repeated gaps apart.
+ *
+ * @module     tiny_gapfill/itemsettings
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Identity of a gap.
+ * @typedef {Object} GapIdentity
+ * @property {string} gaptext - The gap text without delimiters
+ * @property {number} instance - Number of earlier gaps with the same text
+ */
+
+/**
+ * Options of a gap besides its feedback.
+ * @typedef {Object} GapOptions
+ * @property {number} weight - How much the gap counts towards the mark compared with the other gaps
+ * @property {boolean} casesensitive - Whether the gap is marked case sensitively even if the question is not
+ * @property {number} width - Width of the student input in characters, 0 to size it automatically
+ */
+
+/**
+ * The options of a gap that has none of its own.
+ * @type {GapOptions}
+ */
+export const defaultGapOptions = Object.freeze({weight: 1, casesensitive: false, width: 0});
+
+/**
+ * Get the hidden itemsettings field of the question form.
+ * @returns {HTMLInputElement|null}
+ */
+const getField = () => document.querySelector("[name='itemsettings']");
+
+/**
+ * Build a lookup key for an identity.
+ * @param {GapIdentity} identity
+ * @returns {string}
+ */
+const getKey = ({gaptext, instance}) => instance + ':' + gaptext;
+
+/**
+ * Read the instance from an itemid written before instances were stored, e.g. "id3_1" is instance 1.
+ * @param {string|undefined} itemid
+ * @returns {number}
+ */
+const parseInstance = (itemid) => {
+    const match = /_(\d+)$/.exec(itemid || '');
+    return match ? parseInt(match[1], 10) : 0;
+};
+
+/**
+ * Bring stored settings up to date: accept the array or object form, add the instance
+ * to entries saved without one and keep only the latest entry for each gap.
+ * @param {Array|Object} data - The parsed JSON of the itemsettings field
+ * @returns {Array<ItemSettings>}
+ */
+export const migrateSettings = (data) => {
+    const entries = Array.isArray(data) ? data : Object.values(data || {});
+    const settings = new Map();
+    entries.forEach(entry => {
+        if (!entry || typeof entry !== 'object' || typeof entry.gaptext !== 'string') {
+            return;
+        }
+        const instance = Number.isInteger(entry.instance) ? entry.instance : parseInstance(entry.itemid);
+        const migrated = {...entry, instance};
+        // Entries saved later were appended later, so they win.
+        settings.delete(getKey(migrated));
+        settings.set(getKey(migrated), migrated);
+    });
+    return [...settings.values()];
+};
+
+/**
+ * Pull the settings from the hidden field on the form.
+ * @returns {Array<ItemSettings>} Array of settings, empty if the field is missing or not valid JSON
+ */
+export const readSettings = () => {
+    const value = getField()?.value || '';
+    if (value.trim() === '') {
+        return [];
+    }
+    try {
+        return migrateSettings(JSON.parse(value));
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Write settings back to the hidden field on the form.
+ * @param {Array<ItemSettings>} settings
+ */
+export const writeSettings = (settings) => {
+    const field = getField();
+    if (field) {
+        field.value = JSON.stringify(settings);
+    }
+};
+
+/**
+ * Find the settings saved for exactly this gap, so a repeated gap never shows the feedback of another.
+ * @param {Array<ItemSettings>} settings
+ * @param {GapIdentity} identity
+ * @returns {ItemSettings|undefined}
+ */
+export const findSettings = (settings, {gaptext, instance}) =>
+    settings.find(entry => entry.gaptext === gaptext && entry.instance === instance);
+
+/**
+ * Add the settings for a gap, replacing any it already has.
+ * @param {Array<ItemSettings>} settings
+ * @param {ItemSettings} entry - Settings including gaptext and instance
+ * @returns {Array<ItemSettings>} The updated settings
+ */
+export const saveSettings = (settings, entry) => {
+    const index = settings.findIndex(existing => getKey(existing) === getKey(entry));
+    if (index === -1) {
+        return [...settings, entry];
+    }
+    const updated = [...settings];
+    updated[index] = entry;
+    return updated;
+};
+
+/**
+ * Get the options of a gap from its settings, using the defaults for any not stored.
+ * @param {ItemSettings|undefined} entry
+ * @returns {GapOptions}
+ */
+export const getGapOptions = (entry) => {
+    const weight = Number(entry?.weight);
+    const width = Number(entry?.width);
+    return {
+        weight: Number.isFinite(weight) && weight > 0 ? weight : defaultGapOptions.weight,
+        casesensitive: entry?.casesensitive === true,
+        width: Number.isInteger(width) && width > 0 ? width : defaultGapOptions.width,
+    };
+};
+
+/**
+ * Whether a gap has any options other than the defaults.
+ * @param {ItemSettings|undefined} entry
+ * @returns {boolean}
+ */
+export const hasGapOptions = (entry) => {
+    const options = getGapOptions(entry);
+    return Object.keys(defaultGapOptions).some(key => options[key] !== defaultGapOptions[key]);
+};
+
+/**
+ * Set the options of a gap on its settings. Options left at their default are not stored, so
+ * settings are written as they were before gaps had options unless a gap is given some.
+ * @param {ItemSettings} entry
+ * @param {GapOptions} options
+ * @returns {ItemSettings} The updated settings of the gap
+ */
+export const setGapOptions = (entry, options) => {
+    const updated = {...entry};
+    Object.keys(defaultGapOptions).forEach(key => {
+        if (options[key] === defaultGapOptions[key]) {
+            delete updated[key];
+        } else {
+            updated[key] = options[key];
+        }
+    });
+    return updated;
+};
+
+/**
+ * Get the hints of a gap from its settings.
+ * @param {ItemSettings|undefined} entry
+ * @returns {Array<string>} The hints in the order they are given
+ */
+export const getHints = (entry) => (Array.isArray(entry?.hints) ? entry.hints : [])
+    .filter(hint => typeof hint === 'string' && hint.trim() !== '');
+
+/**
+ * Set the hints of a gap on its settings. A gap without hints stores none.
+ * @param {ItemSettings} entry
+ * @param {Array<string>} hints
+ * @returns {ItemSettings} The updated settings of the gap
+ */
+export const setHints = (entry, hints) => {
+    const updated = {...entry};
+    if (hints.length) {
+        updated.hints = hints;
+    } else {
+        delete updated.hints;
+    }
+    return updated;
+};
+
+/**
+ * Work out the identity of each gap from the gap texts in document order.
+ * @param {Array<string>} gaptexts - Gap texts without delimiters
+ * @returns {Array<GapIdentity>}
+ */
+export const getIdentities = (gaptexts) => {
+    const seen = new Map();
+    return gaptexts.map(gaptext => {
+        const instance = seen.get(gaptext) || 0;
+        seen.set(gaptext, instance + 1);
+        return {gaptext, instance};
+    });
+};
+
+/**
+ * Pair up the gaps of two versions of the question text. Gaps with the same text are
+ * matched in order (longest common subsequence). Between two matched gaps, if the same
+ * number of gaps disappeared as appeared, they are taken to have been edited in place.
+ * @param {Array<string>} before - Gap texts in document order before the change
+ * @param {Array<string>} after - Gap texts in document order after the change
+ * @returns {Array<Array<number>>} Pairs of [index before, index after]
+ */
+export const matchGaps = (before, after) => {
+    const lengths = Array.from({length: before.length + 1}, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    let unmatchedBefore = [];
+    let unmatchedAfter = [];
+    const pairEdited = () => {
+        if (unmatchedBefore.length === unmatchedAfter.length) {
+            unmatchedBefore.forEach((index, k) => pairs.push([index, unmatchedAfter[k]]));
+        }
+        unmatchedBefore = [];
+        unmatchedAfter = [];
+    };
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            pairEdited();
+            pairs.push([i++, j++]);
+        } else if (j >= after.length || (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            unmatchedBefore.push(i++);
+        } else {
+            unmatchedAfter.push(j++);
+        }
+    }
+    pairEdited();
+    return pairs;
+};
+
+/**
+ * Move settings to follow their gaps after the question text has changed.
+ * Settings of gaps that have gone are left alone.
+ * @param {Array<ItemSettings>} settings
+ * @param {Array<string>} before - Gap texts in document order before the change
+ * @param {Array<string>} after - Gap texts in document order after the change
+ * @returns {Array<ItemSettings>} The updated settings, or the same array if nothing moved
+ */
+export const rekeySettings = (settings, before, after) => {
+    const oldIdentities = getIdentities(before);
+    const newIdentities = getIdentities(after);
+    const moves = new Map();
+    matchGaps(before, after).forEach(([i, j]) => {
+        if (getKey(oldIdentities[i]) !== getKey(newIdentities[j])) {
+            moves.set(getKey(oldIdentities[i]), newIdentities[j]);
+        }
+    });
+    if (!moves.size) {
+        return settings;
+    }
+    const moved = [];
+    const unmoved = [];
+    settings.forEach(entry => {
+        const identity = moves.get(getKey(entry));
+        if (identity) {
+            moved.push({...entry, ...identity});
+        } else {
+            unmoved.push(entry);
+        }
+    });
+    // Settings left where a moved gap now is belonged to a different gap, the moved ones replace them.
+    const claimed = new Set(moved.map(getKey));
+    return [...unmoved.filter(entry => !claimed.has(getKey(entry))), ...moved];
+};
+
+/**
+ * Find the settings whose gap is no longer in the question text.
+ * @param {Array<ItemSettings>} settings
+ * @param {Array<string>} gaptexts - Gap texts in document order
+ * @returns {Array<ItemSettings>}
+ */
+export const findOrphans = (settings, gaptexts) => {
+    const present = new Set(getIdentities(gaptexts).map(getKey));
+    return settings.filter(entry => !present.has(getKey(entry)));
+};
+
+/**
+ * Move settings to another gap, replacing any that gap already has.
+ * @param {Array<ItemSettings>} settings
+ * @param {ItemSettings} entry - The settings to move
+ * @param {GapIdentity} identity - The gap to move them to
+ * @returns {Array<ItemSettings>} The updated settings
+ */
+export const reattachSettings = (settings, entry, identity) => saveSettings(
+    discardSettings(settings, entry),
+    {...entry, gaptext: identity.gaptext, instance: identity.instance}
+);
+
+/**
+ * Remove the settings of a gap.
+ * @param {Array<ItemSettings>} settings
+ * @param {GapIdentity} identity - The gap whose settings are removed
+ * @returns {Array<ItemSettings>} The updated settings
+ */
+export const discardSettings = (settings, identity) =>
+    settings.filter(entry => getKey(entry) !== getKey(identity));
+
+export default {
+    migrateSettings,
+    readSettings,
+    writeSettings,
+    findSettings,
+    saveSettings,
+    getIdentities,
+    matchGaps,
+    rekeySettings,
+    findOrphans,
+    reattachSettings,
+    discardSettings,
+    defaultGapOptions,
+    getGapOptions,
+    hasGapOptions,
+    setGapOptions,
+    getHints,
+    setHints,
+};
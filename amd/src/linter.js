@@ -0,0 +1,381 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Find badly formed gaps in the question text, mark them inline and list them
+ * in a panel below the editor, optionally stopping the question being saved.
+ *
+ * @module     tiny_gapfill/linter
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Notification from 'core/notification';
+import {loadStrings} from 'tiny_gapfill/common';
+import {highlightAttribute} from 'tiny_gapfill/controller';
+import {getDelimiters, tokenize, findTextRuns, getSegments} from 'tiny_gapfill/tokenizer';
+import {splitAlternatives} from 'tiny_gapfill/answers';
+import {isBlockInvalidGaps} from 'tiny_gapfill/options';
+
+/**
+ * A problem found in the question text.
+ * @typedef {Object} LintIssue
+ * @property {string} type - emptygap, unbalanced, nested, invalidregex or strayseparator
+ * @property {string} severity - error or warning
+ * @property {string} text - The text with the problem
+ * @property {Array<GapSegment>} segments - The text nodes and offsets of the problem
+ * @property {Array<HTMLElement>} marks - The inline marks, once the issues have been marked
+ */
+
+/**
+ * Severity of each type of problem, only errors stop the question being saved.
+ * @type {Object<string, string>}
+ */
+const severities = {
+    emptygap: 'error',
+    unbalanced: 'error',
+    nested: 'error',
+    invalidregex: 'error',
+    strayseparator: 'warning',
+};
+
+/**
+ * Value of the highlight attribute that marks a problem.
+ * @type {string}
+ */
+const markValue = 'lint';
+
+/**
+ * Check the text of a gap.
+ * @param {string} answer - The gap text without delimiters
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @param {boolean} regex - Whether answers are regular expressions
+ * @returns {Array<string>} The types of problem found
+ */
+export const lintGap = (answer, delimitchars, regex) => {
+    if (answer.trim() === '') {
+        return ['emptygap'];
+    }
+    const problems = [];
+    // With the same character on both sides a gap cannot contain another one.
+    if (delimitchars.charAt(0) !== delimitchars.charAt(1) && answer.includes(delimitchars.charAt(0))) {
+        problems.push('nested');
+    }
+    const alternatives = splitAlternatives(answer);
+    if (alternatives.length > 1 && alternatives.some(alternative => alternative.trim() === '')) {
+        problems.push('strayseparator');
+    }
+    if (regex) {
+        try {
+            new RegExp('^(?:' + answer + ')$');
+        } catch (e) {
+            problems.push('invalidregex');
+        }
+    }
+    return problems;
+};
+
+/**
+ * Find the delimiters in plain text that do not belong to a gap.
+ * @param {string} text - Text between gaps
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @returns {Array<number>} Offsets of the delimiters in the text
+ */
+const findStrayDelimiters = (text, delimitchars) => {
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        if (delimitchars.includes(text.charAt(i))) {
+            offsets.push(i);
+        }
+    }
+    return offsets;
+};
+
+/**
+ * Find the problems with the gaps in the editor content. Gaps are found as the
+ * highlighting finds them, so a gap may run across inline formatting.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {Array<LintIssue>} The problems in document order
+ */
+export const lintContent = (editor) => {
+    const delimitchars = getDelimiters();
+    const regex = !document.getElementById('id_disableregex')?.checked;
+    const issues = [];
+    const addIssue = (type, run, start, end) => {
+        const text = run.text.substring(start, end);
+        issues.push({type, severity: severities[type], text, segments: getSegments(run, start, end), marks: []});
+    };
+    findTextRuns(editor.getBody()).forEach(run => {
+        tokenize(run.text, delimitchars).forEach(token => {
+            if (token.isgap) {
+                lintGap(token.answer, delimitchars, regex).forEach(type => {
+                    addIssue(type, run, token.start, token.start + token.text.length);
+                });
+                return;
+            }
+            findStrayDelimiters(token.text, delimitchars).forEach(offset => {
+                addIssue('unbalanced', run, token.start + offset, token.start + offset + 1);
+            });
+        });
+    });
+    return issues;
+};
+
+/**
+ * Mark the problems inline. Marks are never saved and go as soon as the text is edited.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {Array<LintIssue>} issues
+ * @param {Object} strings - The loaded language strings
+ */
+const markIssues = (editor, issues, strings) => {
+    // Group the problems by the text they are in, a problem running across formatting is marked a piece at a time.
+    const ranges = new Map();
+    issues.forEach(issue => {
+        issue.segments.forEach(segment => {
+            const key = segment.start + ':' + segment.end;
+            const nodeRanges = ranges.get(segment.node) || new Map();
+            ranges.set(segment.node, nodeRanges);
+            const range = nodeRanges.get(key) || {start: segment.start, end: segment.end, issues: []};
+            range.issues.push(issue);
+            nodeRanges.set(key, range);
+        });
+    });
+    ranges.forEach((nodeRanges, node) => {
+        // Mark from the end of each text node so the offsets of the earlier problems still hold.
+        [...nodeRanges.values()]
+            .sort((a, b) => b.start - a.start)
+            .forEach(range => {
+                const target = node.splitText(range.start);
+                target.splitText(range.end - range.start);
+                const mark = editor.getDoc().createElement('span');
+                mark.setAttribute(highlightAttribute, markValue);
+                const error = range.issues.some(issue => issue.severity === 'error');
+                mark.className = 'gapfill-lint ' + (error ? 'gapfill-lint-error' : 'gapfill-lint-warning');
+                mark.title = range.issues.map(issue => strings['lint' + issue.type]).join(' ');
+                target.replaceWith(mark);
+                mark.appendChild(target);
+                range.issues.forEach(issue => {
+                    issue.marks.push(mark);
+                });
+            });
+    });
+};
+
+/**
+ * Remove the inline marks, keeping the caret where it was.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+const removeMarks = (editor) => {
+    const marks = editor.dom.select(`[${highlightAttribute}="${markValue}"]`, editor.getBody());
+    if (!marks.length) {
+        return;
+    }
+    const bookmark = editor.selection.getBookmark(2, true);
+    marks.forEach(mark => editor.dom.remove(mark, true));
+    editor.getBody().normalize();
+    editor.selection.moveToBookmark(bookmark);
+};
+
+/**
+ * The language strings used by the linter.
+ * @type {Array<string>}
+ */
+const stringKeys = ['lintproblems', 'lintnoproblems', 'lintjumpto', 'lintclose', 'lintblocked', 'lintblockedintro',
+    ...Object.keys(severities).map(type => 'lint' + type)];
+
+/**
+ * Select the text of a problem in the editor and scroll to it.
+ * @param {Object} editor - TinyMCE editor instance
+ * @param {LintIssue} issue
+ */
+const jumpTo = (editor, issue) => {
+    const rng = editor.dom.createRng();
+    const first = issue.segments[0];
+    const last = issue.segments[issue.segments.length - 1];
+    if (issue.marks.length && issue.marks.every(mark => mark.isConnected)) {
+        // Marks are added from the end of the text, so the first problem has the last mark.
+        const marks = [...issue.marks].sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        rng.setStartBefore(marks[0]);
+        rng.setEndAfter(marks[marks.length - 1]);
+    } else if (first.node.isConnected && last.node.isConnected && last.end <= last.node.length) {
+        rng.setStart(first.node, first.start);
+        rng.setEnd(last.node, last.end);
+    } else {
+        return;
+    }
+    editor.focus();
+    editor.selection.setRng(rng);
+    editor.selection.scrollIntoView();
+};
+
+/**
+ * The gap linter of a single editor, with its panel of problems below the editor.
+ */
+export class GapfillLinter {
+    /** @type {GapfillController} */
+    controller;
+    /** @type {Object} */
+    editor;
+    /** @type {HTMLElement|null} */
+    panel = null;
+    /** @type {Array<LintIssue>} */
+    issues = [];
+    /** @type {number|null} */
+    lintTimer = null;
+
+    /**
+     * Constructor
+     * @param {GapfillController} controller - The gap mode controller of the editor
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.editor = controller.editor;
+        // Marks go as soon as the text is edited, the panel keeps up with the changes.
+        this.editor.on('keydown', () => removeMarks(this.editor));
+        this.editor.on('input change undo redo SetContent', () => {
+            if (this.panel) {
+                clearTimeout(this.lintTimer);
+                this.lintTimer = setTimeout(() => this.refreshPanel(), 1000);
+            }
+        });
+        this.editor.on('init', () => this.registerSubmitCheck());
+        this.editor.on('remove', () => {
+            clearTimeout(this.lintTimer);
+            this.panel?.remove();
+        });
+    }
+
+    /**
+     * Check the gaps, mark the problems inline and list them in the panel.
+     * @returns {Promise<Array<LintIssue>>} The problems found
+     */
+    async check() {
+        const strings = await loadStrings(stringKeys);
+        removeMarks(this.editor);
+        this.issues = lintContent(this.editor);
+        markIssues(this.editor, this.issues, strings);
+        this.renderPanel(strings);
+        return this.issues;
+    }
+
+    /**
+     * Check the gaps again and update the panel, without marking them inline as the text is being edited.
+     * @returns {Promise<void>}
+     */
+    async refreshPanel() {
+        const strings = await loadStrings(stringKeys);
+        this.issues = lintContent(this.editor);
+        this.renderPanel(strings);
+    }
+
+    /**
+     * Show the problems in a panel below the editor, each with a link to jump to it.
+     * @param {Object} strings - The loaded language strings
+     */
+    renderPanel(strings) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.setAttribute('role', 'region');
+            this.panel.setAttribute('aria-live', 'polite');
+            this.panel.setAttribute('aria-label', strings.lintproblems);
+            this.editor.getContainer().after(this.panel);
+            this.panel.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-action]');
+                if (action?.dataset.action === 'gapfill-lint-jump') {
+                    jumpTo(this.editor, this.issues[parseInt(action.dataset.index, 10)]);
+                } else if (action?.dataset.action === 'gapfill-lint-close') {
+                    this.close();
+                }
+            });
+        }
+        const hasErrors = this.issues.some(issue => issue.severity === 'error');
+        this.panel.className = 'gapfill-lint-panel alert mt-2 ' +
+            (hasErrors ? 'alert-danger' : (this.issues.length ? 'alert-warning' : 'alert-success'));
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between align-items-start';
+        const title = document.createElement('strong');
+        title.textContent = this.issues.length ? `${strings.lintproblems} (${this.issues.length})` : strings.lintnoproblems;
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'close';
+        close.dataset.action = 'gapfill-lint-close';
+        close.setAttribute('aria-label', strings.lintclose);
+        close.textContent = '×';
+        header.append(title, close);
+
+        const list = document.createElement('ul');
+        list.className = 'list-unstyled mb-0';
+        this.issues.forEach((issue, index) => {
+            const item = document.createElement('li');
+            const jump = document.createElement('button');
+            jump.type = 'button';
+            jump.className = 'btn btn-link p-0 ml-1 align-baseline';
+            jump.dataset.action = 'gapfill-lint-jump';
+            jump.dataset.index = index;
+            jump.textContent = strings.lintjumpto;
+            item.append(`${strings['lint' + issue.type]} "${issue.text}"`, jump);
+            list.appendChild(item);
+        });
+        this.panel.replaceChildren(header, list);
+    }
+
+    /**
+     * Close the panel and remove the inline marks.
+     */
+    close() {
+        clearTimeout(this.lintTimer);
+        removeMarks(this.editor);
+        this.panel?.remove();
+        this.panel = null;
+    }
+
+    /**
+     * Stop the question form being saved while the gaps have errors, if the site requires it.
+     */
+    registerSubmitCheck() {
+        const form = this.editor.getElement().form;
+        if (!form || !isBlockInvalidGaps(this.editor)) {
+            return;
+        }
+        form.addEventListener('submit', (e) => {
+            // Leaving without saving needs no check.
+            if (e.submitter?.name === 'cancel') {
+                return;
+            }
+            const errors = lintContent(this.editor).filter(issue => issue.severity === 'error');
+            if (!errors.length) {
+                return;
+            }
+            e.preventDefault();
+            this.check().then(() => loadStrings(stringKeys)).then(strings => {
+                const list = document.createElement('ul');
+                errors.forEach(issue => {
+                    const item = document.createElement('li');
+                    item.textContent = `${strings['lint' + issue.type]} "${issue.text}"`;
+                    list.appendChild(item);
+                });
+                return Notification.alert(strings.lintblocked, `<p>${strings.lintblockedintro}</p>${list.outerHTML}`);
+            }).catch(Notification.exception);
+        });
+    }
+}
+
+export default {
+    lintGap,
+    lintContent,
+    GapfillLinter,
+};
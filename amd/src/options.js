@@ -25,6 +25,9 @@ import {getPluginOptionName} from 'editor_tiny/options';
 import {pluginName} from 'tiny_gapfill/common';
 
 const contextIdName = getPluginOptionName(pluginName, 'contextid');
+const userIdName = getPluginOptionName(pluginName, 'userid');
+const blockInvalidGapsName = getPluginOptionName(pluginName, 'blockinvalidgaps');
+const templatesName = getPluginOptionName(pluginName, 'templates');
 
 /**
  * Register the options for the gapfill plugin.
@@ -38,12 +41,51 @@ export const register = (editor) => {
         processor: 'number',
         "default": 0,
     });
+
+    registerOption(userIdName, {
+        processor: 'number',
+        "default": 0,
+    });
+
+    registerOption(blockInvalidGapsName, {
+        processor: 'boolean',
+        "default": false,
+    });
+
+    registerOption(templatesName, {
+        processor: 'array',
+        "default": [],
+    });
 };
 
 /**
- * Get the context id (TODO this is an example option).
+ * Get the id of the context the question is edited in.
  *
  * @param {TinyMCE} editor
  * @returns {number}
  */
 export const getContextId = (editor) => editor.options.get(contextIdName);
+
+/**
+ * Get the id of the user editing the question.
+ *
+ * @param {TinyMCE} editor
+ * @returns {number}
+ */
+export const getUserId = (editor) => editor.options.get(userIdName);
+
+/**
+ * Whether the question cannot be saved while its gaps have errors.
+ *
+ * @param {TinyMCE} editor
+ * @returns {boolean}
+ */
+export const isBlockInvalidGaps = (editor) => editor.options.get(blockInvalidGapsName);
+
+/**
+ * Get the question text templates added by the site admin.
+ *
+ * @param {TinyMCE} editor
+ * @returns {Array<{name: string, content: string}>}
+ */
+export const getTemplates = (editor) => editor.options.get(templatesName);
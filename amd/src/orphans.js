@@ -0,0 +1,186 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detect feedback stored for gaps that are no longer in the question text,
+ * and let the user reattach it to another gap or discard it.
+ *
+ * @module     tiny_gapfill/orphans
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import Notification from 'core/notification';
+import {loadStrings, loadStringList} from 'tiny_gapfill/common';
+import {modeChangeEvent} from 'tiny_gapfill/controller';
+import {
+    readSettings,
+    getIdentities,
+    findOrphans,
+    reattachSettings,
+    discardSettings,
+} from 'tiny_gapfill/itemsettings';
+
+/**
+ * The language strings used by the dialog.
+ * @type {Array<string>}
+ */
+const stringKeys = ['orphans', 'orphansintro', 'gap', 'correctfeedback', 'incorrectfeedback', 'orphanaction',
+    'orphankeep', 'orphandiscard', 'apply'];
+
+/**
+ * Describe a gap for the user, numbering repeated gaps.
+ * @param {GapIdentity} identity
+ * @returns {string}
+ */
+const describeGap = ({gaptext, instance}) => instance ? `${gaptext} (${instance + 1})` : gaptext;
+
+/**
+ * Shorten feedback HTML to a line of plain text.
+ * @param {string|undefined} html
+ * @returns {string}
+ */
+const summarise = (html) => {
+    const text = (html || '').replace(/(<([^>]+)>)/gi, '').trim();
+    return text.length > 60 ? text.substring(0, 57) + '...' : text;
+};
+
+/**
+ * Build the table row for an orphaned entry with a choice of what to do with it.
+ * @param {ItemSettings} orphan
+ * @param {number} index - Position of the orphan in the list
+ * @param {Array<string>} reattachLabels - The option to reattach the entry to each gap in the question text
+ * @param {Object} strings - The loaded language strings
+ * @returns {HTMLTableRowElement}
+ */
+const createRow = (orphan, index, reattachLabels, strings) => {
+    const row = document.createElement('tr');
+    [describeGap(orphan), summarise(orphan.correctfeedback), summarise(orphan.incorrectfeedback)].forEach(text => {
+        row.insertCell().textContent = text;
+    });
+    const select = document.createElement('select');
+    select.className = 'custom-select';
+    select.dataset.index = index;
+    select.setAttribute('aria-label', strings.orphanaction);
+    select.add(new Option(strings.orphankeep, 'keep'));
+    select.add(new Option(strings.orphandiscard, 'discard'));
+    reattachLabels.forEach((label, gapindex) => select.add(new Option(label, String(gapindex))));
+    row.insertCell().appendChild(select);
+    return row;
+};
+
+/**
+ * Show the orphaned settings and apply what the user chooses for each.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ * @returns {Promise<boolean>} Resolves true if the choices were applied, false if the dialog was cancelled
+ */
+export const displayOrphanDialog = async(controller) => {
+    const strings = await loadStrings(stringKeys);
+    const gaptexts = controller.readGapTexts();
+    const identities = getIdentities(gaptexts);
+    const orphans = findOrphans(readSettings(), gaptexts);
+    const reattachLabels = await loadStringList(identities.map(identity =>
+        ({key: 'orphanreattach', param: describeGap(identity)})));
+
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.orphans,
+        body: `
+            <p>${strings.orphansintro}</p>
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th scope="col">${strings.gap}</th>
+                        <th scope="col">${strings.correctfeedback}</th>
+                        <th scope="col">${strings.incorrectfeedback}</th>
+                        <th scope="col">${strings.orphanaction}</th>
+                    </tr>
+                </thead>
+                <tbody data-region="gapfill-orphans"></tbody>
+            </table>
+        `,
+        large: true,
+    });
+    modal.setSaveButtonText(strings.apply);
+    const tbody = modal.getRoot()[0].querySelector('[data-region="gapfill-orphans"]');
+    orphans.forEach((orphan, index) => tbody.appendChild(createRow(orphan, index, reattachLabels, strings)));
+
+    return new Promise(resolve => {
+        let applied = false;
+        modal.getRoot().on(ModalEvents.save, () => {
+            let settings = readSettings();
+            tbody.querySelectorAll('select').forEach(select => {
+                const orphan = orphans[parseInt(select.dataset.index, 10)];
+                if (select.value === 'discard') {
+                    settings = discardSettings(settings, orphan);
+                } else if (select.value !== 'keep') {
+                    settings = reattachSettings(settings, orphan, identities[parseInt(select.value, 10)]);
+                }
+            });
+            controller.updateSettings(settings);
+            applied = true;
+        });
+        modal.getRoot().on(ModalEvents.hidden, () => {
+            modal.destroy();
+            resolve(applied);
+        });
+        modal.show();
+    });
+};
+
+/**
+ * Check for orphaned settings when gap mode is switched on and when the question form is submitted.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const registerOrphanChecks = (controller) => {
+    const editor = controller.editor;
+    const hasOrphans = () => findOrphans(readSettings(), controller.readGapTexts()).length > 0;
+
+    editor.on(modeChangeEvent, (e) => {
+        if (e.active && hasOrphans()) {
+            displayOrphanDialog(controller).catch(Notification.exception);
+        }
+    });
+
+    editor.on('init', () => {
+        const form = editor.getElement().form;
+        if (!form) {
+            return;
+        }
+        let checked = false;
+        form.addEventListener('submit', (e) => {
+            // Leaving without saving needs no check.
+            // Nor does a submission something else has already stopped.
+            if (checked || e.defaultPrevented || e.submitter?.name === 'cancel' || !hasOrphans()) {
+                return;
+            }
+            e.preventDefault();
+            displayOrphanDialog(controller).then(applied => {
+                if (applied) {
+                    checked = true;
+                    form.requestSubmit(e.submitter);
+                }
+                return applied;
+            }).catch(Notification.exception);
+        });
+    });
+};
+
+export default {
+    displayOrphanDialog,
+    registerOrphanChecks,
+};
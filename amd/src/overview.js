@@ -0,0 +1,130 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Overview of every gap and whether it has feedback.
+ *
+ * @module     tiny_gapfill/overview
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {loadStrings} from 'tiny_gapfill/common';
+import {listGaps} from 'tiny_gapfill/Item';
+
+/**
+ * The language strings used by the overview.
+ * @type {Array<string|Object>}
+ */
+const stringKeys = [
+    'gapoverview',
+    'missingfeedbackonly',
+    'gap',
+    'instance',
+    'correctfeedback',
+    'incorrectfeedback',
+    'nogaps',
+    {key: 'yes', component: 'core'},
+    {key: 'no', component: 'core'},
+];
+
+/**
+ * Build the table row for a gap.
+ * @param {GapInfo} gap - The gap
+ * @param {number} index - Position of the gap in document order
+ * @param {Object} strings - The loaded language strings
+ * @returns {HTMLTableRowElement}
+ */
+const createRow = (gap, index, strings) => {
+    const row = document.createElement('tr');
+    row.dataset.missing = gap.hascorrect && gap.hasincorrect ? '0' : '1';
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'btn btn-link p-0 text-left';
+    open.dataset.action = 'gapfill-open-gap';
+    open.dataset.index = index;
+    open.textContent = gap.gaptext;
+    const cells = [open, String(gap.instance + 1), gap.hascorrect ? strings.yes : strings.no,
+        gap.hasincorrect ? strings.yes : strings.no];
+    cells.forEach(content => {
+        const cell = document.createElement('td');
+        cell.append(content);
+        row.appendChild(cell);
+    });
+    return row;
+};
+
+/**
+ * List every gap in document order with its feedback status. Choosing a gap
+ * scrolls to it and opens its feedback dialog.
+ * @param {GapfillController} controller - The gap mode controller of the editor
+ */
+export const displayOverview = async(controller) => {
+    const strings = await loadStrings(stringKeys);
+    const gaps = listGaps(controller.editor.getBody());
+
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.CANCEL,
+        title: strings.gapoverview,
+        body: `
+            <div class="form-check mb-2">
+                <input type="checkbox" class="form-check-input" id="gapfill-missingfeedbackonly">
+                <label class="form-check-label" for="gapfill-missingfeedbackonly">${strings.missingfeedbackonly}</label>
+            </div>
+            <table class="table table-sm table-striped">
+                <thead>
+                    <tr>
+                        <th scope="col">${strings.gap}</th>
+                        <th scope="col">${strings.instance}</th>
+                        <th scope="col">${strings.correctfeedback}</th>
+                        <th scope="col">${strings.incorrectfeedback}</th>
+                    </tr>
+                </thead>
+                <tbody data-region="gapfill-overview"></tbody>
+            </table>
+        `,
+        large: true,
+    });
+    const root = modal.getRoot()[0];
+    const tbody = root.querySelector('[data-region="gapfill-overview"]');
+    if (gaps.length) {
+        gaps.forEach((gap, index) => tbody.appendChild(createRow(gap, index, strings)));
+    } else {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.textContent = strings.nogaps;
+    }
+
+    const filter = root.querySelector('#gapfill-missingfeedbackonly');
+    filter.addEventListener('change', () => {
+        tbody.querySelectorAll('tr[data-missing="0"]').forEach(row => {
+            row.hidden = filter.checked;
+        });
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-open-gap"]', (e) => {
+        const index = parseInt(e.currentTarget.dataset.index, 10);
+        modal.hide();
+        controller.openGap(index);
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    displayOverview,
+};
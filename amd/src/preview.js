@@ -0,0 +1,202 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Student view preview of the question text, with per gap feedback.
+ *
+ * @module     tiny_gapfill/preview
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {loadStrings} from 'tiny_gapfill/common';
+import Item, {wrapContent} from 'tiny_gapfill/Item';
+import {getDelimiters} from 'tiny_gapfill/tokenizer';
+import {splitAlternatives, isCorrectResponse} from 'tiny_gapfill/answers';
+import {parseDistractors} from 'tiny_gapfill/distractors';
+import {getGapOptions} from 'tiny_gapfill/itemsettings';
+
+/**
+ * Styles for the sandboxed preview document, which does not see the theme.
+ * @type {string}
+ */
+const previewStyles = `
+    body { font-family: sans-serif; line-height: 2; margin: 0.5em; }
+    .gapfill-preview-gap { border: 1px solid #8f959e; border-radius: 2px; min-width: 4em; padding: 0 0.25em; }
+    .gapfill-preview-drop { display: inline-block; min-height: 1.5em; vertical-align: middle; }
+    .gapfill-preview-draggables { border-bottom: 1px solid #dee2e6; margin-bottom: 0.5em; padding-bottom: 0.5em; }
+    .gapfill-preview-draggable { border: 1px solid #8f959e; cursor: move; margin-right: 0.5em; padding: 0 0.25em; }
+    .gapfill-preview-correct { border-color: #357a32; background: #e7f3e6; }
+    .gapfill-preview-incorrect { border-color: #ca3120; background: #f9e6e4; }
+    .gapfill-preview-feedback { display: block; font-size: 0.9em; }
+`;
+
+/**
+ * Get the answer display setting of the question form.
+ * @returns {string} One of gapfill, dropdown or dragdrop
+ */
+const getAnswerDisplay = () => document.getElementById('id_answerdisplay')?.value || 'gapfill';
+
+/**
+ * The options offered by dropdowns and draggables, the answers of every gap and the distractors.
+ * @param {Array<string>} answers - The gap texts without delimiters
+ * @returns {Array<string>} The options in alphabetical order
+ */
+const getOptions = (answers) => {
+    const options = answers.map(answer => splitAlternatives(answer)[0].trim());
+    const distractors = parseDistractors(document.getElementById('id_wronganswers')?.value || '');
+    return [...new Set([...options, ...distractors])]
+        .filter(option => option !== '')
+        .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Create the control a student would use for a gap.
+ * @param {Document} doc - The preview document
+ * @param {string} display - The answer display setting
+ * @param {Array<string>} options - The options for dropdowns
+ * @param {string} label - Accessible label of the control
+ * @returns {HTMLElement}
+ */
+const createControl = (doc, display, options, label) => {
+    let control;
+    if (display === 'dropdown') {
+        control = doc.createElement('select');
+        ['', ...options].forEach(text => {
+            const option = doc.createElement('option');
+            option.value = text;
+            option.textContent = text;
+            control.appendChild(option);
+        });
+    } else if (display === 'dragdrop') {
+        control = doc.createElement('span');
+        control.className = 'gapfill-preview-drop';
+    } else {
+        control = doc.createElement('input');
+        control.type = 'text';
+    }
+    control.classList.add('gapfill-preview-gap');
+    control.setAttribute('aria-label', label);
+    return control;
+};
+
+/**
+ * Replace every gap in the preview document with a student control showing feedback when answered.
+ * @param {Document} doc - The preview document
+ * @param {Object} strings - The loaded language strings
+ */
+const buildPreview = (doc, strings) => {
+    const delimitchars = getDelimiters();
+    const display = getAnswerDisplay();
+    const marking = {
+        casesensitive: !!document.getElementById('id_casesensitive')?.checked,
+        regex: !document.getElementById('id_disableregex')?.checked,
+    };
+    wrapContent(doc.body);
+    const gaps = Array.from(doc.querySelectorAll('span.item'));
+    const options = getOptions(gaps.map(span => new Item(span.textContent, delimitchars).stripdelim()));
+
+    gaps.forEach(span => {
+        const item = new Item(span.textContent, delimitchars);
+        const answer = item.stripdelim();
+        const settings = item.getItemSettings(span);
+        const gapOptions = getGapOptions(settings);
+        const control = createControl(doc, display, options, strings.answer);
+        if (gapOptions.width) {
+            control.style.width = `${gapOptions.width}ch`;
+        }
+        const feedback = doc.createElement('span');
+        feedback.className = 'gapfill-preview-feedback';
+        feedback.setAttribute('aria-live', 'polite');
+
+        const check = () => {
+            const response = control.value ?? control.textContent;
+            control.classList.remove('gapfill-preview-correct', 'gapfill-preview-incorrect');
+            if (response.trim() === '') {
+                feedback.innerHTML = '';
+                return;
+            }
+            const correct = isCorrectResponse(response, answer, {
+                ...marking,
+                casesensitive: marking.casesensitive || gapOptions.casesensitive,
+            });
+            control.classList.add(correct ? 'gapfill-preview-correct' : 'gapfill-preview-incorrect');
+            feedback.innerHTML = (correct ? settings.correctfeedback : settings.incorrectfeedback) || '';
+        };
+        if (display === 'dragdrop') {
+            control.addEventListener('dragover', e => e.preventDefault());
+            control.addEventListener('drop', e => {
+                e.preventDefault();
+                control.textContent = e.dataTransfer.getData('text/plain');
+                check();
+            });
+        } else {
+            control.addEventListener(display === 'dropdown' ? 'change' : 'input', check);
+        }
+        span.replaceWith(control, feedback);
+    });
+
+    if (display === 'dragdrop') {
+        const pool = doc.createElement('div');
+        pool.className = 'gapfill-preview-draggables';
+        options.forEach(option => {
+            const draggable = doc.createElement('span');
+            draggable.className = 'gapfill-preview-draggable';
+            draggable.draggable = true;
+            draggable.textContent = option;
+            draggable.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', option));
+            pool.appendChild(draggable);
+        });
+        doc.body.prepend(pool);
+    }
+};
+
+/**
+ * Show the question text as a student would see it, in a sandboxed frame inside a modal.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+export const displayPreview = async(editor) => {
+    const strings = await loadStrings(['preview', 'answer']);
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.CANCEL,
+        title: strings.preview,
+        body: '<div data-region="gapfill-preview"></div>',
+        large: true,
+    });
+
+    // Scripts in the question text never run, the frame only allows this module to reach into it.
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-same-origin');
+    frame.setAttribute('title', strings.preview);
+    frame.className = 'w-100 border-0';
+    frame.style.minHeight = '300px';
+    frame.srcdoc = `<!DOCTYPE html><html dir="${editor.getBody().dir || document.dir || 'ltr'}">` +
+        `<head><style>${previewStyles}</style></head><body>${editor.getContent()}</body></html>`;
+    frame.addEventListener('load', () => {
+        const doc = frame.contentDocument;
+        buildPreview(doc, strings);
+        frame.style.height = (doc.documentElement.scrollHeight + 20) + 'px';
+    });
+    modal.getRoot()[0].querySelector('[data-region="gapfill-preview"]').appendChild(frame);
+
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    displayPreview,
+};
@@ -0,0 +1,229 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A library of reusable feedback snippets for the gap dialog, kept per user in local storage.
+ *
+ * @module     tiny_gapfill/snippets
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {component, downloadJson, escapeHtml, loadStrings} from 'tiny_gapfill/common';
+
+/**
+ * A named piece of feedback.
+ * @typedef {Object} Snippet
+ * @property {string} name
+ * @property {string} text - The feedback, which may contain {gap} placeholders
+ */
+
+/**
+ * The local storage key of the snippets of a user.
+ * @param {number} userid
+ * @returns {string}
+ */
+const storageKey = (userid) => `${component}_snippets_${userid}`;
+
+/**
+ * Keep only well formed snippets.
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Snippet>|null} The snippets, or null if the data is not a list
+ */
+const normaliseSnippets = (data) => {
+    if (!Array.isArray(data)) {
+        return null;
+    }
+    return data.filter(snippet => typeof snippet?.name === 'string' && snippet.name.trim() !== '' &&
+        typeof snippet.text === 'string')
+        .map(snippet => ({name: snippet.name.trim(), text: snippet.text}));
+};
+
+/**
+ * Read the snippets of a user.
+ * @param {number} userid
+ * @returns {Array<Snippet>}
+ */
+export const readSnippets = (userid) => {
+    try {
+        return normaliseSnippets(JSON.parse(window.localStorage.getItem(storageKey(userid)) || '[]')) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Store the snippets of a user.
+ * @param {number} userid
+ * @param {Array<Snippet>} snippets
+ * @returns {boolean} False if local storage is not available or full
+ */
+export const writeSnippets = (userid, snippets) => {
+    try {
+        window.localStorage.setItem(storageKey(userid), JSON.stringify(snippets));
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Add a snippet, replacing any snippet with the same name, keeping the list sorted by name.
+ * @param {Array<Snippet>} snippets
+ * @param {Snippet} snippet
+ * @returns {Array<Snippet>}
+ */
+export const saveSnippet = (snippets, snippet) => [...snippets.filter(entry => entry.name !== snippet.name), snippet]
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Remove the snippet with a name.
+ * @param {Array<Snippet>} snippets
+ * @param {string} name
+ * @returns {Array<Snippet>}
+ */
+export const removeSnippet = (snippets, name) => snippets.filter(entry => entry.name !== name);
+
+/**
+ * Expand the {gap} placeholders of a snippet to the answer text of a gap.
+ * @param {string} text - The snippet text
+ * @param {string} gaptext - The gap text without delimiters, see Item.gaptextNodelim
+ * @returns {string}
+ */
+export const expandSnippet = (text, gaptext) => {
+    const escaped = escapeHtml(gaptext);
+    return text.replace(/\{gap\}/g, () => escaped);
+};
+
+/**
+ * Read snippets from an exported file, merging them into the existing ones.
+ * @param {Array<Snippet>} snippets - The existing snippets
+ * @param {string} text - The content of the file
+ * @returns {Array<Snippet>|null} The merged snippets, or null if the file holds no snippets
+ */
+export const importSnippets = (snippets, text) => {
+    let imported;
+    try {
+        imported = normaliseSnippets(JSON.parse(text.replace(/^\uFEFF/, '')));
+    } catch (e) {
+        return null;
+    }
+    if (!imported?.length) {
+        return null;
+    }
+    return imported.reduce(saveSnippet, snippets);
+};
+
+/**
+ * Download the snippets of a user as a JSON file.
+ * @param {Array<Snippet>} snippets
+ */
+const exportSnippets = (snippets) => {
+    downloadJson('gapfill-snippets.json', snippets);
+};
+
+/**
+ * The language strings used by the snippets section.
+ * @type {Array<string>}
+ */
+const stringKeys = ['snippetchoose', 'snippetnamerequired', 'snippetsinvalid', 'snippetsnotstored'];
+
+/**
+ * Wire up the snippets section of a modal.
+ * @param {Object} modal - The modal containing the section
+ * @param {Object} options
+ * @param {number} options.userid - The user the snippets belong to
+ * @param {string} options.gaptext - The gap text without delimiters the {gap} placeholder expands to
+ * @param {function(string): string} options.readField - Get the content of the correctfeedback or incorrectfeedback field
+ * @param {function(string, string): void} options.insertField - Insert text into a feedback field
+ */
+export const initSnippetsSection = async(modal, {userid, gaptext, readField, insertField}) => {
+    const strings = await loadStrings(stringKeys);
+    const root = modal.getRoot()[0];
+    const select = root.querySelector('#gapfill-snippet');
+    const field = root.querySelector('#gapfill-snippet-field');
+    const nameInput = root.querySelector('#gapfill-snippet-name');
+    const error = root.querySelector('[data-region="gapfill-snippet-error"]');
+    let snippets = readSnippets(userid);
+
+    const showError = (message) => {
+        error.textContent = message;
+        error.classList.toggle('d-block', message !== '');
+    };
+    const fillSelect = (selected) => {
+        const placeholder = new Option(strings.snippetchoose, '');
+        select.replaceChildren(placeholder, ...snippets.map(snippet => new Option(snippet.name, snippet.name)));
+        select.value = snippets.some(snippet => snippet.name === selected) ? selected : '';
+        select.dispatchEvent(new Event('change'));
+    };
+    const store = (updated, selected) => {
+        snippets = updated;
+        showError(writeSnippets(userid, snippets) ? '' : strings.snippetsnotstored);
+        fillSelect(selected);
+    };
+    select.addEventListener('change', () => {
+        root.querySelectorAll('[data-action="gapfill-snippet-insert"], [data-action="gapfill-snippet-delete"]')
+            .forEach(button => {
+                button.disabled = select.value === '';
+            });
+    });
+    fillSelect('');
+
+    modal.getRoot().on('click', '[data-action="gapfill-snippet-insert"]', () => {
+        const snippet = snippets.find(entry => entry.name === select.value);
+        if (snippet) {
+            insertField(field.value, expandSnippet(snippet.text, gaptext));
+        }
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-snippet-delete"]', () => {
+        store(removeSnippet(snippets, select.value), '');
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-snippet-save"]', () => {
+        const name = nameInput.value.trim();
+        nameInput.classList.toggle('is-invalid', name === '');
+        if (name === '') {
+            showError(strings.snippetnamerequired);
+            nameInput.focus();
+            return;
+        }
+        store(saveSnippet(snippets, {name, text: readField(field.value)}), name);
+        nameInput.value = '';
+    });
+    modal.getRoot().on('click', '[data-action="gapfill-snippet-export"]', () => exportSnippets(snippets));
+    const importInput = root.querySelector('#gapfill-snippet-import');
+    importInput.addEventListener('change', async() => {
+        const file = importInput.files[0];
+        if (!file) {
+            return;
+        }
+        const merged = importSnippets(snippets, await file.text());
+        importInput.value = '';
+        if (merged === null) {
+            showError(strings.snippetsinvalid);
+            return;
+        }
+        store(merged, select.value);
+    });
+};
+
+export default {
+    readSnippets,
+    writeSnippets,
+    saveSnippet,
+    removeSnippet,
+    expandSnippet,
+    importSnippets,
+    initSnippetsSection,
+};
@@ -0,0 +1,190 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A gallery of ready made question texts for common gapfill patterns, together with
+ * any templates the site admin has added.
+ *
+ * Templates are written with [square brackets] and rewritten to the delimiters of the question.
+ *
+ * @module     tiny_gapfill/templategallery
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import {loadStrings} from 'tiny_gapfill/common';
+import {getDelimiters, tokenize, defaultDelimiters} from 'tiny_gapfill/tokenizer';
+import {getTemplates} from 'tiny_gapfill/options';
+
+/**
+ * A question text template.
+ * @typedef {Object} QuestionTemplate
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} content - The question text, with gaps in square brackets
+ */
+
+/**
+ * The templates that come with the plugin, named by their language string.
+ * @type {Array<{key: string, content: string}>}
+ */
+const builtinTemplates = [
+    {
+        key: 'templatevocabulary',
+        content: '<table class="table"><thead><tr><th>English</th><th>French</th></tr></thead><tbody>' +
+            '<tr><td>cat</td><td>[chat]</td></tr>' +
+            '<tr><td>dog</td><td>[chien]</td></tr>' +
+            '<tr><td>house</td><td>[maison]</td></tr>' +
+            '<tr><td>book</td><td>[livre]</td></tr>' +
+            '</tbody></table>',
+    },
+    {
+        key: 'templateconjugation',
+        content: '<p>Complete the present tense of <em>to be</em>.</p>' +
+            '<table class="table"><thead><tr><th>Pronoun</th><th>Present</th></tr></thead><tbody>' +
+            '<tr><td>I</td><td>[am]</td></tr>' +
+            '<tr><td>you</td><td>[are]</td></tr>' +
+            '<tr><td>he / she / it</td><td>[is]</td></tr>' +
+            '<tr><td>we</td><td>[are]</td></tr>' +
+            '<tr><td>they</td><td>[are]</td></tr>' +
+            '</tbody></table>',
+    },
+    {
+        key: 'templatecode',
+        content: '<p>Complete the missing keywords.</p>' +
+            '<pre><code>[def] greet(name):\n' +
+            '    [if] name:\n' +
+            '        [return] "Hello " + name\n' +
+            '    [else]:\n' +
+            '        [return] "Hello"</code></pre>',
+    },
+    {
+        key: 'templatedialogue',
+        content: '<p><strong>Anna:</strong> Hello, how [are] you?</p>' +
+            '<p><strong>Ben:</strong> [I am fine, thank you|I\'m fine, thank you|Fine, thanks]. And you?</p>' +
+            '<p><strong>Anna:</strong> Very well. Where [are] you going?</p>' +
+            '<p><strong>Ben:</strong> [To the library|I am going to the library|I\'m going to the library].</p>',
+    },
+];
+
+/**
+ * Rewrite the gaps of a template to the delimiters of the question.
+ * @param {string} content - The template, with gaps in square brackets
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {string}
+ */
+export const applyDelimiters = (content, delimitchars = getDelimiters()) => tokenize(content, defaultDelimiters)
+    .map(token => token.isgap ? delimitchars.charAt(0) + token.answer + delimitchars.charAt(1) : token.text)
+    .join('');
+
+/**
+ * Get the templates on offer, those of the plugin followed by those of the site admin.
+ * @param {Object} editor - TinyMCE editor instance
+ * @returns {Promise<Array<QuestionTemplate>>}
+ */
+export const listTemplates = async(editor) => {
+    const keys = builtinTemplates.flatMap(({key}) => [key, `${key}_desc`]);
+    const strings = await loadStrings(keys);
+    return [
+        ...builtinTemplates.map(({key, content}) => ({
+            name: strings[key],
+            description: strings[`${key}_desc`],
+            content,
+        })),
+        ...(getTemplates(editor) || []).filter(template => template?.name && template?.content),
+    ];
+};
+
+/**
+ * Let the user pick a template, shown with the delimiters of the question, and insert it at the cursor.
+ * @param {Object} editor - TinyMCE editor instance
+ */
+export const displayTemplateGallery = async(editor) => {
+    const [strings, templates] = await Promise.all([
+        loadStrings(['inserttemplate', 'templatechoose', 'templatepreview', 'templateinsert']),
+        listTemplates(editor),
+    ]);
+    const delimitchars = getDelimiters();
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: strings.inserttemplate,
+        body: `
+            <div class="row">
+                <div class="col-md-5">
+                    <fieldset>
+                        <legend class="col-form-label font-weight-bold">${strings.templatechoose}</legend>
+                        <div data-region="gapfill-templates"></div>
+                    </fieldset>
+                </div>
+                <div class="col-md-7">
+                    <h5>${strings.templatepreview}</h5>
+                    <div class="border rounded p-2 gapfill-template-preview" data-region="gapfill-template-preview"></div>
+                </div>
+            </div>
+        `,
+        large: true,
+    });
+    modal.setSaveButtonText(strings.templateinsert);
+    const root = modal.getRoot()[0];
+    const list = root.querySelector('[data-region="gapfill-templates"]');
+    const preview = root.querySelector('[data-region="gapfill-template-preview"]');
+    templates.forEach((template, index) => {
+        const option = document.createElement('div');
+        option.className = 'form-check mb-2';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.className = 'form-check-input';
+        radio.name = 'gapfill-template';
+        radio.id = `gapfill-template-${index}`;
+        radio.value = index;
+        radio.checked = index === 0;
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = radio.id;
+        label.textContent = template.name;
+        option.append(radio, label);
+        if (template.description) {
+            const description = document.createElement('small');
+            description.className = 'form-text text-muted';
+            description.textContent = template.description;
+            option.appendChild(description);
+        }
+        list.appendChild(option);
+    });
+    const getSelected = () => templates[parseInt(list.querySelector('input:checked')?.value, 10)];
+    const showPreview = () => {
+        preview.innerHTML = getSelected() ? applyDelimiters(getSelected().content, delimitchars) : '';
+    };
+    list.addEventListener('change', showPreview);
+    showPreview();
+
+    modal.getRoot().on(ModalEvents.save, () => {
+        const template = getSelected();
+        if (template) {
+            editor.insertContent(applyDelimiters(template.content, delimitchars));
+            editor.focus();
+        }
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => modal.destroy());
+    modal.show();
+};
+
+export default {
+    applyDelimiters,
+    listTemplates,
+    displayTemplateGallery,
+};
@@ -0,0 +1,244 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Gap tokenizer shared by the gap mode highlighter and the Item class.
+ *
+ * @module     tiny_gapfill/tokenizer
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * A chunk of text, either a gap including its delimiters or the text between gaps.
+ * @typedef {Object} Token
+ * @property {boolean} isgap - True if the chunk is a gap
+ * @property {string} text - The chunk text, including the delimiters for a gap
+ * @property {string} answer - The text between the delimiters, empty for plain text
+ * @property {number} start - Offset of the chunk in the tokenized string
+ */
+
+/**
+ * The delimiter pairs offered by the delimitchars setting of the gapfill question type.
+ * @type {Array<string>}
+ */
+export const delimiterPairs = ['[]', '{}', '##', '@@'];
+
+/**
+ * Delimiters used when the question form has no delimitchars field.
+ * @type {string}
+ */
+export const defaultDelimiters = '[]';
+
+/**
+ * Escape a string so it can be used literally inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the delimiter pair currently selected on the question form.
+ * @returns {string} Two characters, the left and right delimiter
+ */
+export const getDelimiters = () => {
+    const delimitchars = document.getElementById('id_delimitchars')?.value || '';
+    return delimitchars.length === 2 ? delimitchars : defaultDelimiters;
+};
+
+/**
+ * Build the regular expression that finds gaps, the same way the question type does.
+ * For the default delimiters this is /\[(.*?)\]/g, the answer is in the first group.
+ * @param {string} delimitchars - The delimiter characters (e.g., "[]")
+ * @returns {RegExp} A global regular expression
+ */
+export const getGapRegex = (delimitchars) => {
+    const left = escapeRegExp(delimitchars.charAt(0));
+    const right = escapeRegExp(delimitchars.charAt(1));
+    return new RegExp(left + '(.*?)' + right, 'g');
+};
+
+/**
+ * Split text into plain text and gap tokens.
+ * @param {string} text - The text to split
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {Array<Token>} The tokens in document order
+ */
+export const tokenize = (text, delimitchars = getDelimiters()) => {
+    const tokens = [];
+    const regex = getGapRegex(delimitchars);
+    let last = 0;
+    let match = regex.exec(text);
+    while (match !== null) {
+        if (match.index > last) {
+            tokens.push({isgap: false, text: text.substring(last, match.index), answer: '', start: last});
+        }
+        tokens.push({isgap: true, text: match[0], answer: match[1], start: match.index});
+        last = regex.lastIndex;
+        match = regex.exec(text);
+    }
+    if (last < text.length) {
+        tokens.push({isgap: false, text: text.substring(last), answer: '', start: last});
+    }
+    return tokens;
+};
+
+/**
+ * Check whether text contains at least one gap.
+ * @param {string} text
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {boolean}
+ */
+export const hasGap = (text, delimitchars = getDelimiters()) => getGapRegex(delimitchars).test(text);
+
+/**
+ * Remove the delimiters from either end of a gap, e.g. "[cat]" becomes "cat".
+ * @param {string} gap - The gap text including delimiters
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {string} The gap text without delimiters
+ */
+export const stripDelimiters = (gap, delimitchars = getDelimiters()) => {
+    let text = gap;
+    if (text.startsWith(delimitchars.charAt(0))) {
+        text = text.substring(1);
+    }
+    if (text.length && text.endsWith(delimitchars.charAt(1))) {
+        text = text.substring(0, text.length - 1);
+    }
+    return text;
+};
+
+/**
+ * Elements whose text is not question text.
+ * @type {Array<string>}
+ */
+export const skipTags = ['script', 'button', 'input', 'select', 'textarea', 'option'];
+
+/**
+ * Inline elements a gap can run across, e.g. "[<b>cat</b>]". Any other element ends the text a gap can be in.
+ * @type {Array<string>}
+ */
+export const inlineTags = ['a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+    'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'u', 'var'];
+
+/**
+ * Text that runs on across inline elements, e.g. a paragraph without line breaks.
+ * @typedef {Object} TextRun
+ * @property {string} text - The text of all the text nodes joined together
+ * @property {Array<{node: Text, offset: number}>} nodes - Each text node with the offset of its text in the run
+ */
+
+/**
+ * A part of a gap that is in a single text node.
+ * @typedef {Object} GapSegment
+ * @property {Text} node - The text node
+ * @property {number} start - Offset of the part in the text node
+ * @property {number} end - Offset after the part in the text node
+ */
+
+/**
+ * A gap in the DOM, which may run across inline elements.
+ * @typedef {Object} GapRange
+ * @property {string} text - The gap text including delimiters, without any markup
+ * @property {string} answer - The gap text without delimiters
+ * @property {Array<GapSegment>} segments - The parts of the gap in document order
+ */
+
+/**
+ * Collect the runs of text under an element in document order.
+ * @param {Node} root - The element to search, e.g. the editor body
+ * @returns {Array<TextRun>}
+ */
+export const findTextRuns = (root) => {
+    const runs = [];
+    let run = {text: '', nodes: []};
+    const endRun = () => {
+        if (run.nodes.length) {
+            runs.push(run);
+        }
+        run = {text: '', nodes: []};
+    };
+    const visit = (parent) => {
+        Array.from(parent.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                run.nodes.push({node: child, offset: run.text.length});
+                run.text += child.data;
+            } else if (child.nodeType === 1) {
+                const tag = child.nodeName.toLowerCase();
+                const inline = inlineTags.includes(tag);
+                if (!inline) {
+                    endRun();
+                }
+                if (!skipTags.includes(tag)) {
+                    visit(child);
+                }
+                if (!inline) {
+                    endRun();
+                }
+            }
+        });
+    };
+    visit(root);
+    endRun();
+    return runs;
+};
+
+/**
+ * Find the text nodes and offsets that make up part of a run.
+ * @param {TextRun} run
+ * @param {number} start - Offset of the part in the run
+ * @param {number} end - Offset after the part in the run
+ * @returns {Array<GapSegment>}
+ */
+export const getSegments = (run, start, end) => run.nodes
+    .filter(({node, offset}) => offset < end && offset + node.length > start)
+    .map(({node, offset}) => ({
+        node,
+        start: Math.max(start - offset, 0),
+        end: Math.min(end - offset, node.length),
+    }));
+
+/**
+ * Find the gaps under an element, including those running across inline elements
+ * such as "[<b>cat</b>]" or "[c<i>at]</i>".
+ * @param {Node} root - The element to search, e.g. the editor body
+ * @param {string} [delimitchars] - The delimiter characters, defaults to those selected on the form
+ * @returns {Array<GapRange>} The gaps in document order
+ */
+export const findGaps = (root, delimitchars = getDelimiters()) => findTextRuns(root).flatMap(run =>
+    tokenize(run.text, delimitchars)
+        .filter(token => token.isgap)
+        .map(token => ({
+            text: token.text,
+            answer: token.answer,
+            segments: getSegments(run, token.start, token.start + token.text.length),
+        }))
+);
+
+export default {
+    delimiterPairs,
+    defaultDelimiters,
+    escapeRegExp,
+    getDelimiters,
+    getGapRegex,
+    tokenize,
+    hasGap,
+    stripDelimiters,
+    skipTags,
+    inlineTags,
+    findTextRuns,
+    getSegments,
+    findGaps,
+};
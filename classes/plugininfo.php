@@ -5,9 +5,10 @@ use context;
 use editor_tiny\editor;
 use editor_tiny\plugin;
 use editor_tiny\plugin_with_buttons;
+use editor_tiny\plugin_with_configuration;
 use editor_tiny\plugin_with_menuitems;
 
-class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menuitems {
+class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menuitems, plugin_with_configuration {
 
     public static function is_enabled(
         context $context,
@@ -60,12 +61,58 @@ class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menu
     public static function get_available_buttons(): array {
         return [
             'tiny_gapfill/gapfill',
+            'tiny_gapfill/preview',
+            'tiny_gapfill/lint',
+            'tiny_gapfill/distractors',
+            'tiny_gapfill/insertgap',
         ];
     }
 
     public static function get_available_menuitems(): array {
         return [
             'tiny_gapfill/gapfill',
+            'tiny_gapfill/templates',
+            'tiny_gapfill/overview',
+            'tiny_gapfill/bulkfeedback',
+            'tiny_gapfill/importfeedback',
+            'tiny_gapfill/exportfeedback',
+            'tiny_gapfill/preview',
+            'tiny_gapfill/lint',
+            'tiny_gapfill/distractors',
+            'tiny_gapfill/insertgap',
+            'tiny_gapfill/generategaps',
+            'tiny_gapfill/undogenerate',
+            'tiny_gapfill/cloze',
         ];
     }
-}
\ No newline at end of file
+
+    public static function get_plugin_configuration_for_context(
+        context $context,
+        array $options,
+        array $fpoptions,
+        ?editor $editor = null
+    ): array {
+        global $USER;
+
+        return [
+            'contextid' => $context->id,
+            'userid' => $USER->id,
+            'blockinvalidgaps' => (bool) get_config('tiny_gapfill', 'blockinvalidgaps'),
+            'templates' => self::get_templates(),
+        ];
+    }
+
+    // The templates added by the site admin are separated by lines of three dashes,
+    // the first line of each is its name and the rest is its question text.
+    protected static function get_templates(): array {
+        $templates = [];
+        foreach (preg_split('/^\s*---\s*$/m', (string) get_config('tiny_gapfill', 'templates')) as $block) {
+            $lines = preg_split('/\R/', trim($block), 2);
+            if (count($lines) < 2 || trim($lines[0]) === '' || trim($lines[1]) === '') {
+                continue;
+            }
+            $templates[] = ['name' => trim($lines[0]), 'content' => trim($lines[1])];
+        }
+        return $templates;
+    }
+}
@@ -25,6 +25,181 @@
 
 defined('MOODLE_INTERNAL') || die();
 
-$string['buttontitle'] = 'Button for Gapfill';
+$string['addalternative'] = 'Add alternative';
+$string['adddistractor'] = 'Add distractor';
+$string['addhint'] = 'Add hint';
+$string['answer'] = 'Answer';
+$string['answers'] = 'Answers';
+$string['apply'] = 'Apply';
+$string['blockinvalidgaps'] = 'Stop saving questions with gap errors';
+$string['blockinvalidgaps_desc'] = 'If enabled, a gapfill question cannot be saved while the checker finds errors in its gaps, such as empty gaps or unbalanced delimiters. A summary of the errors is shown instead.';
+$string['bulkfeedback'] = 'Edit all feedback';
+$string['bulkfeedbackapply'] = 'Apply to selected gaps';
+$string['bulkfeedbackapplyto'] = 'Feedback to set';
+$string['bulkfeedbacktext'] = 'Feedback for the selected gaps, e.g. Check your spelling';
+$string['buttontitle'] = 'Gap mode: edit the settings and feedback of each gap';
+$string['caseinsensitivehint'] = 'Answers are not case sensitive, following the question\'s Case sensitive setting.';
+$string['casesensitivehint'] = 'Answers are case sensitive, following the question\'s Case sensitive setting.';
+$string['checkgaps'] = 'Check gaps';
+$string['cloze'] = 'Cloze conversion';
+$string['clozecopied'] = 'Copied to the clipboard.';
+$string['clozecopy'] = 'Copy to clipboard';
+$string['clozecopyfailed'] = 'The text could not be copied to the clipboard. It is selected, so you can copy it with Ctrl+C or Cmd+C.';
+$string['clozeexport'] = 'Convert to cloze markup';
+$string['clozefeedback'] = 'Answers have different feedback, only the first is kept';
+$string['clozeformat'] = 'Markup';
+$string['clozeformatasterisks'] = 'Plain text with asterisks, e.g. *cat*';
+$string['clozeformatbraces'] = 'Plain text with braces, e.g. {cat}';
+$string['clozeformatbrackets'] = 'Plain text with square brackets, e.g. [cat]';
+$string['clozeformatcloze'] = 'Moodle Cloze (multianswer), e.g. {1:SHORTANSWER:=cat~=dog}';
+$string['clozeimport'] = 'Convert from cloze markup';
+$string['clozeinvalidanswer'] = 'An answer contains a delimiter or a | and is left out';
+$string['clozenocorrect'] = 'There is no fully correct answer, so the question is left as it is';
+$string['clozenogaps'] = 'There is nothing to convert into gaps.';
+$string['clozenoproblems'] = 'Everything can be converted.';
+$string['clozepartial'] = 'Answers giving partial credit are left out';
+$string['clozeproblems'] = 'Not converted';
+$string['clozeresult'] = 'Converted text';
+$string['clozesource'] = 'Question text to convert';
+$string['clozetolerance'] = 'The tolerance of this numerical answer is dropped, only the exact number is accepted';
+$string['clozetype'] = 'This kind of embedded question has no gapfill equivalent and is left as it is';
+$string['clozeusequestiontext'] = 'Use the current question text';
+$string['clozewildcard'] = 'A * inside an answer needs regular expressions, which are turned off, so it is kept as a plain *';
+$string['clozewronganswer'] = 'Wrong answers of a short answer question are left out';
+$string['correctfeedback'] = 'Correct feedback';
+$string['distractor'] = 'Distractor';
+$string['distractorduplicate'] = 'This is also a correct answer for a gap.';
+$string['distractors'] = 'Distractors (wrong answers)';
+$string['exportcsv'] = 'CSV';
+$string['exportfeedback'] = 'Export feedback';
+$string['exportfeedbacklost'] = 'The feedback and options of this gap are not exported';
+$string['exportfiles'] = 'The feedback contains files, which are not exported';
+$string['exporthints'] = 'Hints are not exported';
+$string['exportjson'] = 'JSON';
+$string['exportregex'] = 'This regular expression is exported as plain text';
+$string['exportweight'] = 'The weight is rounded to a whole number';
+$string['exportwidth'] = 'The input width is not exported';
+$string['gap'] = 'Gap';
+$string['gapbadgecasesensitive'] = 'Aa';
+$string['gapbadgehints'] = '?{$a}';
+$string['gapbadgeweight'] = '×{$a}';
+$string['gapbadgewidth'] = '↔{$a}';
+$string['gapcasesensitive'] = 'Case sensitive, even if the rest of the question is not';
+$string['gaplabel'] = 'Gap {$a->number} of {$a->total}: {$a->text}';
+$string['gaplabelmissingfeedback'] = 'Gap {$a->number} of {$a->total}: {$a->text}, feedback missing';
+$string['gapmodeoff'] = 'Gap mode off.';
+$string['gapmodeon'] = 'Gap mode on. Use Tab or the arrow keys to move between gaps, Enter to open a gap and Escape to leave gap mode.';
+$string['gapoptioncasesensitive'] = 'case sensitive';
+$string['gapoptionhints'] = 'hints: {$a}';
+$string['gapoptions'] = 'Gap options';
+$string['gapoptionweight'] = 'weight {$a}';
+$string['gapoptionwidth'] = 'input width {$a} characters';
+$string['gapoverview'] = 'Gap overview';
+$string['gaps'] = 'Gaps';
+$string['gapsettings'] = 'Gap settings: {$a}';
+$string['generatecount'] = 'Gaps to add: {$a}';
+$string['generatedone'] = '{$a} gaps added. Use Undo gap generation to remove them.';
+$string['generategaps'] = 'Generate gaps';
+$string['generateinsert'] = 'Insert gaps';
+$string['generateinterval'] = 'Gap every nth word, where n is';
+$string['generateinvalidpattern'] = 'This is not a valid regular expression.';
+$string['generatelist'] = 'Words from a list';
+$string['generateminlength'] = 'Skip words shorter than';
+$string['generatenone'] = 'No words match, so no gaps would be added.';
+$string['generatenth'] = 'Every nth word';
+$string['generatepattern'] = 'Regular expression a whole word must match';
+$string['generatepreview'] = 'Preview';
+$string['generateregex'] = 'Words matching a regular expression';
+$string['generatestrategy'] = 'Choose words';
+$string['generatewords'] = 'Words to gap, separated by commas or new lines';
+$string['hint'] = 'Hint {$a}';
+$string['hints'] = 'Hints';
+$string['hintshelp'] = 'In interactive mode the hints are given one after another, e.g. "Starts with c", then "3 letters", then the answer.';
+$string['import'] = 'Import';
+$string['importaction'] = 'Result';
+$string['importchoosefile'] = 'Choose a file to import.';
+$string['importcreate'] = 'Will be created';
+$string['importfeedback'] = 'Import feedback';
+$string['importfile'] = 'CSV or JSON file with gaptext, occurrence, correctfeedback and incorrectfeedback';
+$string['importfilehint'] = 'The occurrence column tells apart gaps with the same text, counting from 1 in the order they appear in the question. Older files with an instance column counting from 0 are read as well.';
+$string['importinvalid'] = 'The file could not be read. CSV files need a header row with a gaptext column, JSON files a list of gaps.';
+$string['importnorows'] = 'The file has no feedback in it.';
+$string['importoverwrite'] = 'Will overwrite';
+$string['importunmatched'] = 'No matching gap, will be left out';
+$string['incorrectfeedback'] = 'Incorrect feedback';
+$string['insertgap'] = 'Insert gap';
+$string['insertgapcontainsdelimiters'] = 'The selected text already contains a gap delimiter.';
+$string['insertgapcrosselements'] = 'Select text within a single piece of formatting to make a gap.';
+$string['insertgapnoselection'] = 'Select the text that should become a gap.';
+$string['inserttemplate'] = 'Insert template';
+$string['instance'] = 'Instance';
+$string['invalidanswers'] = 'Enter at least one answer. Answers cannot contain the delimiters or a | outside brackets.';
+$string['invalidweight'] = 'The weight must be a number greater than 0.';
+$string['invalidwidth'] = 'The width must be a whole number of 0 or more.';
+$string['lintblocked'] = 'The question was not saved';
+$string['lintblockedintro'] = 'Fix these errors in the gaps of the question text, they are marked in the editor.';
+$string['lintclose'] = 'Close the gap check';
+$string['lintemptygap'] = 'The gap is empty.';
+$string['lintinvalidregex'] = 'The gap is not a valid regular expression.';
+$string['lintjumpto'] = 'Jump to';
+$string['lintnested'] = 'The gap contains another opening delimiter.';
+$string['lintnoproblems'] = 'No problems found with the gaps.';
+$string['lintproblems'] = 'Problems with the gaps';
+$string['lintstrayseparator'] = 'A | at the start or end of the gap, or two together, accepts an empty answer.';
+$string['lintunbalanced'] = 'This delimiter has no partner.';
+$string['matchanything'] = 'Matches anything';
+$string['missingfeedbackonly'] = 'Missing feedback only';
+$string['movehintdown'] = 'Move hint down';
+$string['movehintup'] = 'Move hint up';
+$string['nodistractorfield'] = 'This question has no wrong answers field.';
+$string['nogaps'] = 'There are no gaps in the question text yet.';
+$string['occurrence'] = 'Occurrence';
+$string['orphanaction'] = 'Action';
+$string['orphandiscard'] = 'Discard';
+$string['orphankeep'] = 'Keep';
+$string['orphanreattach'] = 'Reattach to {$a}';
+$string['orphans'] = 'Feedback without a gap';
+$string['orphansintro'] = 'These gaps have feedback but are no longer in the question text. Choose what to do with their feedback.';
 $string['pluginname'] = 'Gapfill';
+$string['preview'] = 'Preview question';
 $string['privacy:metadata'] = 'The Gapfill plugin doesn\'t store any personal data.';
+$string['regexdisabledhint'] = 'Regular expressions are disabled for this question, so wildcard and regex answers are matched literally.';
+$string['removealternative'] = 'Remove alternative';
+$string['removedistractor'] = 'Remove distractor';
+$string['removehint'] = 'Remove hint';
+$string['saveall'] = 'Save all';
+$string['selectallgaps'] = 'Select all gaps';
+$string['selectgap'] = 'Select gap {$a}';
+$string['snippet'] = 'Snippet';
+$string['snippetchoose'] = 'Choose a snippet';
+$string['snippetdelete'] = 'Delete snippet';
+$string['snippetfield'] = 'Feedback field';
+$string['snippetinsert'] = 'Insert snippet';
+$string['snippetname'] = 'Snippet name';
+$string['snippetnamerequired'] = 'Give the snippet a name.';
+$string['snippets'] = 'Feedback snippets';
+$string['snippetsave'] = 'Save feedback as snippet';
+$string['snippetsexport'] = 'Export snippets';
+$string['snippetshelp'] = 'Snippets are kept in this browser for your account. Use {gap} in a snippet for the answer of the gap it is inserted into.';
+$string['snippetsimport'] = 'Import snippets';
+$string['snippetsinvalid'] = 'The file does not contain any snippets.';
+$string['snippetsnotstored'] = 'The snippets could not be stored in this browser.';
+$string['templatechoose'] = 'Templates';
+$string['templatecode'] = 'Code snippet';
+$string['templatecode_desc'] = 'Program code with gapped keywords.';
+$string['templateconjugation'] = 'Verb conjugation grid';
+$string['templateconjugation_desc'] = 'The forms of a verb for each pronoun.';
+$string['templatedialogue'] = 'Dialogue';
+$string['templatedialogue_desc'] = 'A conversation with gapped words and lines.';
+$string['templateinsert'] = 'Insert';
+$string['templatepreview'] = 'Preview';
+$string['templates'] = 'Question text templates';
+$string['templates_desc'] = 'Templates offered by Insert template in addition to those of the plugin. Separate templates with a line containing only ---. The first line of each template is its name, the rest is its question text in HTML with gaps in [square brackets], which are changed to the delimiters of the question when it is inserted.';
+$string['templatevocabulary'] = 'Vocabulary table';
+$string['templatevocabulary_desc'] = 'A table of words with their translations to fill in.';
+$string['undogenerate'] = 'Undo gap generation';
+$string['undogeneratechanged'] = 'The question text has changed since the gaps were generated. Undoing the generation will also undo those changes.';
+$string['weight'] = 'Weight';
+$string['weighthint'] = 'How much this gap counts towards the mark compared with the other gaps.';
+$string['width'] = 'Input width';
+$string['widthhint'] = 'Width of the student input in characters, 0 to size it automatically.';
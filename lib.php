@@ -0,0 +1,111 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Callbacks for Gapfill
+ *
+ * @package    tiny_gapfill
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * File picker options for the feedback editors, so images, media and links are
+ * uploaded to the draft area of the question text.
+ *
+ * @param context $context The context of the question
+ * @param int $draftitemid The draft item id of the question text
+ * @return array
+ */
+function tiny_gapfill_get_filepicker_options(context $context, int $draftitemid): array {
+    global $CFG;
+    require_once($CFG->dirroot . '/repository/lib.php');
+
+    $types = [
+        'image' => ['web_image'],
+        'media' => ['video', 'audio'],
+        'link' => '*',
+    ];
+    $fpoptions = [];
+    foreach ($types as $type => $acceptedtypes) {
+        $args = new stdClass();
+        $args->accepted_types = $acceptedtypes;
+        $args->return_types = FILE_INTERNAL | FILE_EXTERNAL;
+        $args->context = $context;
+        $args->env = 'filepicker';
+        $options = initialise_filepicker($args);
+        $options->context = $context;
+        $options->client_id = uniqid();
+        $options->maxbytes = $CFG->maxbytes;
+        $options->areamaxbytes = FILE_AREA_MAX_BYTES_UNLIMITED;
+        $options->env = 'editor';
+        $options->itemid = $draftitemid;
+        $fpoptions[$type] = $options;
+    }
+    return $fpoptions;
+}
+
+/**
+ * Render the correct and incorrect feedback fields of a gap as editors set up the same
+ * way as the rest of the question form.
+ *
+ * Files in the feedback are stored as @@PLUGINFILE@@ links and are shown from the draft
+ * area of the question text, which is saved with the question.
+ *
+ * @param array $args The context, draftitemid, correctfeedback and incorrectfeedback
+ * @return string
+ */
+function tiny_gapfill_output_fragment_feedback_editors(array $args): string {
+    global $USER;
+
+    $context = $args['context'];
+    $capabilities = ['moodle/question:add', 'moodle/question:editmine', 'moodle/question:editall'];
+    if (!has_any_capability($capabilities, $context)) {
+        throw new required_capability_exception($context, 'moodle/question:add', 'nopermissions', '');
+    }
+    $draftitemid = clean_param($args['draftitemid'] ?? 0, PARAM_INT);
+    $usercontext = context_user::instance($USER->id);
+
+    $editoroptions = [
+        'context' => $context,
+        'maxfiles' => EDITOR_UNLIMITED_FILES,
+        'noclean' => true,
+        'subdirs' => true,
+        'enable_filemanagement' => true,
+    ];
+    $fpoptions = $draftitemid ? tiny_gapfill_get_filepicker_options($context, $draftitemid) : [];
+    $editor = editors_get_preferred_editor(FORMAT_HTML);
+
+    $draftfilebase = moodle_url::make_draftfile_url($draftitemid, '/', '')->out(false);
+    $html = html_writer::start_div('', ['data-draftfilebase' => $draftfilebase]);
+    foreach (['correctfeedback', 'incorrectfeedback'] as $field) {
+        $id = 'gapfill-' . $field;
+        $text = file_rewrite_pluginfile_urls(clean_param($args[$field] ?? '', PARAM_RAW), 'draftfile.php',
+            $usercontext->id, 'user', 'draft', $draftitemid);
+        $label = html_writer::label(get_string($field, 'tiny_gapfill'), $id, true, ['class' => 'font-weight-bold']);
+        $textarea = html_writer::tag('textarea', s($text), [
+            'id' => $id,
+            'name' => $id,
+            'class' => 'form-control',
+            'rows' => 6,
+            'data-field' => $field,
+        ]);
+        $html .= html_writer::div($label . $textarea, 'form-group mb-3');
+        $editor->use_editor($id, $editoroptions, $fpoptions);
+    }
+    $html .= html_writer::end_div();
+    return $html;
+}
@@ -0,0 +1,41 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Admin settings for Gapfill
+ *
+ * @package    tiny_gapfill
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+if ($ADMIN->fulltree) {
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_gapfill/blockinvalidgaps',
+        new lang_string('blockinvalidgaps', 'tiny_gapfill'),
+        new lang_string('blockinvalidgaps_desc', 'tiny_gapfill'),
+        0
+    ));
+    $settings->add(new admin_setting_configtextarea(
+        'tiny_gapfill/templates',
+        new lang_string('templates', 'tiny_gapfill'),
+        new lang_string('templates_desc', 'tiny_gapfill'),
+        '',
+        PARAM_RAW
+    ));
+}
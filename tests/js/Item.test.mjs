@@ -0,0 +1,247 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests of the Item class.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {describe, it, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {setupForm} from './fixtures.mjs';
+import Item from 'tiny_gapfill/Item';
+import {delimiterPairs} from 'tiny_gapfill/tokenizer';
+
+/**
+ * Make a gap element with the id wrapContent would give it.
+ * @param {string} id
+ * @returns {HTMLElement}
+ */
+const gapElement = (id) => {
+    const span = document.createElement('span');
+    span.id = id;
+    return span;
+};
+
+describe('Item.stripdelim', () => {
+    beforeEach(() => setupForm());
+
+    delimiterPairs.forEach(delimitchars => {
+        const [l, r] = delimitchars;
+        it(`strips ${delimitchars} delimiters`, () => {
+            const item = new Item(`${l}cat${r}`, delimitchars);
+            assert.equal(item.stripdelim(), 'cat');
+            assert.equal(item.gaptextNodelim, 'cat');
+            assert.equal(item.l, l);
+            assert.equal(item.r, r);
+        });
+
+        it(`keeps alternatives and other characters with ${delimitchars} delimiters`, () => {
+            assert.equal(new Item(`${l}cat|dog ${r}`, delimitchars).stripdelim(), 'cat|dog ');
+        });
+
+        it(`leaves an empty gap empty with ${delimitchars} delimiters`, () => {
+            assert.equal(new Item(delimitchars, delimitchars).stripdelim(), '');
+        });
+    });
+
+    it('strips only one delimiter from each end', () => {
+        assert.equal(new Item('[[cat]]', '[]').stripdelim(), '[cat]');
+        assert.equal(new Item('##cat##', '##').stripdelim(), '#cat#');
+    });
+
+    it('strips a delimiter only from the end it belongs to', () => {
+        assert.equal(new Item('[cat', '[]').stripdelim(), 'cat');
+        assert.equal(new Item('cat]', '[]').stripdelim(), 'cat');
+        assert.equal(new Item(']cat[', '[]').stripdelim(), ']cat[');
+    });
+
+    it('strips a single delimiter of a pair with the same character once', () => {
+        assert.equal(new Item('#', '##').stripdelim(), '');
+    });
+});
+
+describe('Item.getItemSettings', () => {
+    const settings = [
+        {gaptext: 'cat', instance: 0, itemid: 'id1_0', correctfeedback: 'Yes', incorrectfeedback: 'No'},
+        {gaptext: 'cat', instance: 2, itemid: 'id4_2', correctfeedback: 'Third', incorrectfeedback: ''},
+        {gaptext: 'dog', instance: 0, itemid: 'id2_0', correctfeedback: '', incorrectfeedback: 'Woof'},
+    ];
+
+    delimiterPairs.forEach(delimitchars => {
+        it(`finds the settings of a gap with ${delimitchars} delimiters`, () => {
+            setupForm({delimitchars, itemsettings: settings});
+            const item = new Item(`${delimitchars[0]}dog${delimitchars[1]}`, delimitchars);
+            const found = item.getItemSettings(gapElement('id2_0'));
+            assert.equal(found.incorrectfeedback, 'Woof');
+            assert.equal(found.itemid, 'id2_0');
+            assert.equal(item.instance, 0);
+        });
+    });
+
+    it('tells repeated gaps apart by their instance', () => {
+        setupForm({itemsettings: settings});
+        const item = new Item('[cat]', '[]');
+        assert.equal(item.getItemSettings(gapElement('id4_2')).correctfeedback, 'Third');
+        assert.equal(item.instance, 2);
+        assert.equal(item.getItemSettings(gapElement('id1_0')).correctfeedback, 'Yes');
+        assert.equal(item.instance, 0);
+    });
+
+    it('does not give a repeated gap without settings those of the first gap with its text', () => {
+        setupForm({itemsettings: settings});
+        const found = new Item('[cat]', '[]').getItemSettings(gapElement('id3_1'));
+        assert.equal(found.correctfeedback, '');
+        assert.equal(found.itemid, 'id3_1');
+        assert.equal(found.instance, 1);
+    });
+
+    it('gives empty settings to a gap without any', () => {
+        setupForm({itemsettings: settings});
+        assert.deepEqual(new Item('[bird]', '[]').getItemSettings(gapElement('id5_0')), {
+            itemid: 'id5_0',
+            questionid: null,
+            correctfeedback: '',
+            incorrectfeedback: '',
+            gaptext: '',
+            instance: 0,
+        });
+    });
+
+    it('takes the instance to be 0 when the id has none', () => {
+        setupForm({itemsettings: settings});
+        const item = new Item('[cat]', '[]');
+        assert.equal(item.getItemSettings(gapElement('gap')).correctfeedback, 'Yes');
+        assert.equal(item.instance, 0);
+    });
+
+    it('reads settings stored in the object form with the instance in the itemid', () => {
+        setupForm({itemsettings: {
+            a: {gaptext: 'cat', itemid: 'id1_0', correctfeedback: 'First'},
+            b: {gaptext: 'cat', itemid: 'id3_1', correctfeedback: 'Second'},
+        }});
+        assert.equal(new Item('[cat]', '[]').getItemSettings(gapElement('id3_1')).correctfeedback, 'Second');
+    });
+
+    it('keeps the last of several entries for the same gap', () => {
+        setupForm({itemsettings: [
+            {gaptext: 'cat', instance: 0, correctfeedback: 'Old'},
+            {gaptext: 'cat', instance: 0, correctfeedback: 'New'},
+        ]});
+        assert.equal(new Item('[cat]', '[]').getItemSettings(gapElement('id1_0')).correctfeedback, 'New');
+    });
+
+    [
+        ['not JSON', '{"gaptext": "cat",'],
+        ['JSON null', 'null'],
+        ['a JSON string', '"cat"'],
+        ['a JSON number', '42'],
+        ['whitespace', '  \n '],
+    ].forEach(([description, value]) => {
+        it(`gives empty settings when the field holds ${description}`, () => {
+            setupForm({itemsettings: value});
+            const item = new Item('[cat]', '[]');
+            assert.deepEqual(item.settings, []);
+            assert.equal(item.getItemSettings(gapElement('id1_0')).correctfeedback, '');
+        });
+    });
+
+    it('skips entries that are not settings of a gap', () => {
+        setupForm({itemsettings: [null, 'cat', 7, {correctfeedback: 'No text'},
+            {gaptext: 'cat', instance: 0, correctfeedback: 'Yes'}]});
+        const item = new Item('[cat]', '[]');
+        assert.equal(item.settings.length, 1);
+        assert.equal(item.getItemSettings(gapElement('id1_0')).correctfeedback, 'Yes');
+    });
+
+    it('gives empty settings when the field is missing', () => {
+        setupForm();
+        document.querySelector('[name=itemsettings]').remove();
+        assert.equal(new Item('[cat]', '[]').getItemSettings(gapElement('id1_0')).correctfeedback, '');
+    });
+});
+
+describe('Item.updateJson', () => {
+    /**
+     * Add the feedback fields updateJson reads.
+     * @param {string} correct
+     * @param {string} incorrect
+     */
+    const setFeedback = (correct, incorrect) => {
+        document.body.insertAdjacentHTML('beforeend',
+            `<div id="id_correcteditable">${correct}</div><div id="id_incorrecteditable">${incorrect}</div>`);
+    };
+
+    it('adds the settings of a gap without any', () => {
+        setupForm({questionid: '12'});
+        setFeedback('<p>Well done</p>', 'Try again');
+        const item = new Item('[cat]', '[]');
+        const target = gapElement('id1_0');
+        item.getItemSettings(target);
+        assert.deepEqual(JSON.parse(item.updateJson({target})), [{
+            itemid: 'id1_0',
+            questionid: '12',
+            correctfeedback: '<p>Well done</p>',
+            incorrectfeedback: 'Try again',
+            gaptext: 'cat',
+            instance: 0,
+        }]);
+    });
+
+    it('replaces the settings of the same gap and keeps the others', () => {
+        setupForm({itemsettings: [
+            {gaptext: 'cat', instance: 0, itemid: 'id1_0', correctfeedback: 'Old'},
+            {gaptext: 'dog', instance: 0, itemid: 'id2_0', correctfeedback: 'Dog'},
+        ]});
+        setFeedback('New', '');
+        const item = new Item('[cat]', '[]');
+        const target = gapElement('id1_0');
+        item.getItemSettings(target);
+        const settings = JSON.parse(item.updateJson({target}));
+        assert.deepEqual(settings.map(entry => [entry.gaptext, entry.correctfeedback]), [['cat', 'New'], ['dog', 'Dog']]);
+        assert.equal(settings[0].questionid, null);
+    });
+
+    it('gives a repeated gap its own settings instead of changing those of the first', () => {
+        setupForm({itemsettings: [{gaptext: 'cat', instance: 0, itemid: 'id1_0', correctfeedback: 'First'}]});
+        setFeedback('Second', '');
+        const item = new Item('{cat}', '{}');
+        const target = gapElement('id3_1');
+        item.getItemSettings(target);
+        const settings = JSON.parse(item.updateJson({target}));
+        assert.deepEqual(settings.map(entry => [entry.instance, entry.correctfeedback]), [[0, 'First'], [1, 'Second']]);
+    });
+
+    it('replaces malformed settings', () => {
+        setupForm({itemsettings: '[{"gaptext":'});
+        setFeedback('Yes', 'No');
+        const item = new Item('#cat#', '##');
+        const target = gapElement('id1_0');
+        item.getItemSettings(target);
+        assert.equal(JSON.parse(item.updateJson({target})).length, 1);
+    });
+
+    it('saves empty feedback when the feedback fields are missing', () => {
+        setupForm();
+        const item = new Item('@cat@', '@@');
+        const target = gapElement('id1_0');
+        item.getItemSettings(target);
+        const [entry] = JSON.parse(item.updateJson({target}));
+        assert.equal(entry.correctfeedback, '');
+        assert.equal(entry.incorrectfeedback, '');
+    });
+});
@@ -0,0 +1,47 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests of the parsing and building of gap answers.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildAnswer, normaliseAnswer, parseAnswer} from 'tiny_gapfill/answers';
+
+describe('normaliseAnswer', () => {
+    [
+        ['cat', 'cat'],
+        ['cat|dog', 'cat|dog'],
+        ['cat | dog', 'cat|dog'],
+        [' cat||dog ', 'cat|dog'],
+        ['.*', '.*'],
+        ['(cat|dog)s', '(cat|dog)s'],
+    ].forEach(([answer, expected]) => {
+        it(`rebuilds "${answer}" as "${expected}"`, () => {
+            assert.equal(normaliseAnswer(answer), expected);
+        });
+    });
+
+    it('matches what the answers section builds from an unchanged gap', () => {
+        const answer = 'cat | dog ';
+        const {alternatives, matchanything} = parseAnswer(answer);
+        assert.equal(buildAnswer(alternatives, matchanything), normaliseAnswer(answer));
+        assert.notEqual(buildAnswer(alternatives, matchanything), answer);
+    });
+});
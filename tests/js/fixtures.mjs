@@ -0,0 +1,82 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The parts of the question form the modules read, for the unit tests.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Replace the document with a question form.
+ * @param {Object} [form]
+ * @param {string} [form.delimitchars] - The selected delimiter pair
+ * @param {Array|Object|string} [form.itemsettings] - Value of the itemsettings field, as is if a string
+ * @param {string} [form.questionid] - The id of the question being edited
+ * @param {string} [form.questiontext] - HTML of the question text
+ * @returns {HTMLElement} The element holding the question text
+ */
+export const setupForm = ({delimitchars = '[]', itemsettings = '', questionid = '', questiontext = ''} = {}) => {
+    document.body.innerHTML = `
+        <form>
+            <input type="hidden" name="id">
+            <input type="hidden" name="itemsettings">
+            <select id="id_delimitchars">
+                <option value="[]">[]</option>
+                <option value="{}">{}</option>
+                <option value="##">##</option>
+                <option value="@@">@@</option>
+            </select>
+            <div id="questiontext"></div>
+        </form>`;
+    document.querySelector('input[name=id]').value = questionid;
+    document.querySelector('[name=itemsettings]').value =
+        typeof itemsettings === 'string' ? itemsettings : JSON.stringify(itemsettings);
+    document.getElementById('id_delimitchars').value = delimitchars;
+    const root = document.getElementById('questiontext');
+    root.innerHTML = questiontext;
+    return root;
+};
+
+/**
+ * Make a stand-in for the TinyMCE editor of the question text, with the parts of its API the modules use.
+ * Handlers registered with on are run by dispatch.
+ * @param {HTMLElement} root - The element holding the question text, as setupForm returns it
+ * @param {Object} [options] - Values of the editor options by name
+ * @returns {Object}
+ */
+export const createEditor = (root, options = {}) => {
+    const handlers = new Map();
+    const textarea = document.createElement('textarea');
+    root.closest('form').appendChild(textarea);
+    return {
+        on: (names, handler) => names.split(' ').forEach(name => {
+            const key = name.toLowerCase();
+            handlers.set(key, [...(handlers.get(key) || []), handler]);
+        }),
+        dispatch: (name, args = {}) => (handlers.get(name.toLowerCase()) || []).forEach(handler => handler(args)),
+        getElement: () => textarea,
+        getBody: () => root,
+        getDoc: () => document,
+        getContainer: () => root,
+        options: {get: (name) => options[name]},
+        dom: {
+            select: (selector, scope) => [...scope.querySelectorAll(selector)],
+            remove: (node, keepChildren) => (keepChildren ? node.replaceWith(...node.childNodes) : node.remove()),
+        },
+        selection: {getBookmark: () => null, moveToBookmark: () => undefined},
+    };
+};
@@ -0,0 +1,116 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests of the feedback export and import.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {setupForm} from './fixtures.mjs';
+import {listGaps} from 'tiny_gapfill/Item';
+import {readSettings} from 'tiny_gapfill/itemsettings';
+import {collectFeedback, parseFeedback, planImport, toCsv} from 'tiny_gapfill/importexport';
+
+/**
+ * Feedback of a question with a repeated gap, stored the way the gap dialog stores it.
+ * @type {Array<Object>}
+ */
+const itemsettings = [
+    {gaptext: 'cat', instance: 0, correctfeedback: 'First cat', incorrectfeedback: ''},
+    {gaptext: 'dog', instance: 0, correctfeedback: 'Dog', incorrectfeedback: 'Not a dog'},
+    {gaptext: 'cat', instance: 1, correctfeedback: 'Second cat', incorrectfeedback: ''},
+];
+
+/**
+ * Export the feedback of a question text.
+ * @param {string} questiontext
+ * @returns {Array<Object>} The exported rows
+ */
+const exportRows = (questiontext) => {
+    const root = setupForm({questiontext, itemsettings});
+    return collectFeedback({getBody: () => root});
+};
+
+/**
+ * Match imported rows against the gaps of a question text.
+ * @param {Array<Object>} rows - The imported rows
+ * @param {string} questiontext
+ * @returns {Array<Array>} The gap id, text and feedback each row would go to
+ */
+const importInto = (rows, questiontext) => {
+    const root = setupForm({questiontext});
+    return planImport(rows, listGaps(root), readSettings())
+        .map(({row, gap, action}) => [gap?.itemid, row.gaptext, row.correctfeedback, action]);
+};
+
+describe('collectFeedback', () => {
+    it('numbers gaps with the same text from 1', () => {
+        const rows = exportRows('<p>[cat] [dog] [cat]</p>');
+        assert.deepEqual(rows.map(({gaptext, occurrence}) => [gaptext, occurrence]), [['cat', 1], ['dog', 1], ['cat', 2]]);
+        assert.equal(rows[2].correctfeedback, 'Second cat');
+    });
+
+    it('writes the occurrence column to CSV', () => {
+        const csv = toCsv(exportRows('<p>[cat] [dog] [cat]</p>'));
+        assert.equal(csv.split('\r\n')[0], 'gaptext,occurrence,correctfeedback,incorrectfeedback');
+        assert.equal(csv.split('\r\n')[3], 'cat,2,Second cat,');
+    });
+});
+
+describe('parseFeedback', () => {
+    it('reads the occurrence counting from 1', () => {
+        const rows = parseFeedback('gaptext,occurrence,correctfeedback\r\ncat,1,First\r\ncat,2,Second\r\n');
+        assert.deepEqual(rows.map(({gaptext, instance}) => [gaptext, instance]), [['cat', 0], ['cat', 1]]);
+    });
+
+    it('reads the instance of older files counting from 0', () => {
+        const rows = parseFeedback(JSON.stringify([{gaptext: 'cat', instance: 1, correctfeedback: 'Second'}]));
+        assert.equal(rows[0].instance, 1);
+        assert.equal('occurrence' in rows[0], false);
+    });
+
+    it('treats a missing occurrence as the first gap with the text', () => {
+        assert.equal(parseFeedback('gaptext,correctfeedback\r\ncat,First\r\n')[0].instance, 0);
+    });
+});
+
+describe('re-importing an export', () => {
+    [
+        ['CSV', toCsv],
+        ['JSON', (rows) => JSON.stringify(rows)],
+    ].forEach(([format, write]) => {
+        it(`puts ${format} feedback back on the same gaps after they are reordered`, () => {
+            const file = write(exportRows('<p>[cat] [dog] [cat]</p>'));
+            assert.deepEqual(importInto(parseFeedback(file), '<p>[dog] [cat]</p><p>Later: [cat]</p>'), [
+                ['id2_0', 'cat', 'First cat', 'create'],
+                ['id1_0', 'dog', 'Dog', 'create'],
+                ['id3_1', 'cat', 'Second cat', 'create'],
+            ]);
+        });
+    });
+
+    it('leaves out the rows of gaps that are no longer repeated', () => {
+        const file = toCsv(exportRows('<p>[cat] [dog] [cat]</p>'));
+        assert.deepEqual(importInto(parseFeedback(file), '<p>[dog] [cat]</p>').map(([itemid, , , action]) => [itemid, action]), [
+            ['id2_0', 'create'],
+            ['id1_0', 'create'],
+            [undefined, 'unmatched'],
+        ]);
+    });
+});
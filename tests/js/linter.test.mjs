@@ -0,0 +1,68 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests of the gap linter.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {describe, it, mock, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {setupForm, createEditor} from './fixtures.mjs';
+import Notification from 'core/notification';
+import {GapfillLinter} from 'tiny_gapfill/linter';
+
+/**
+ * Set up the linter on a question text, with invalid gaps blocking the save.
+ * @param {string} questiontext
+ * @returns {HTMLFormElement} The question form
+ */
+const setupLinter = (questiontext) => {
+    const editor = createEditor(setupForm({questiontext}), {'tiny_gapfill/plugin:blockinvalidgaps': true});
+    new GapfillLinter({editor});
+    editor.dispatch('init');
+    return editor.getElement().form;
+};
+
+/**
+ * Submit a form.
+ * @param {HTMLFormElement} form
+ * @returns {boolean} Whether the submission went ahead
+ */
+const submit = (form) => form.dispatchEvent(new Event('submit', {cancelable: true}));
+
+describe('GapfillLinter.registerSubmitCheck', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('stops the save and lists the errors', async() => {
+        const shown = new Promise(resolve => {
+            mock.method(Notification, 'alert', (title, body) => resolve({title, body}));
+        });
+        const form = setupLinter('<p>The [cat] sat on the [] mat.</p>');
+        assert.equal(submit(form), false);
+        const {title, body} = await shown;
+        assert.equal(title, 'The question was not saved');
+        assert.match(body, /Fix these errors in the gaps of the question text/);
+        assert.match(body, /<li>The gap is empty\. "\[\]"<\/li>/);
+    });
+
+    it('lets the save go ahead when the gaps have no errors', () => {
+        const alert = mock.method(Notification, 'alert');
+        assert.equal(submit(setupLinter('<p>The [cat] sat on the [mat].</p>')), true);
+        assert.equal(alert.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,52 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Module resolution for the JavaScript unit tests, registered by setup.mjs.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {existsSync} from 'node:fs';
+
+const sources = new URL('../../amd/src/', import.meta.url);
+const stubs = new URL('./stubs/', import.meta.url);
+
+/**
+ * Resolve tiny_gapfill/x, and ./x from another module, to the source of the module and core/x
+ * or editor_tiny/x to its stub. The sources are ES modules even though they have a .js extension.
+ * @param {string} specifier
+ * @param {Object} context
+ * @param {Function} nextResolve
+ * @returns {Promise<Object>}
+ */
+export const resolve = async(specifier, context, nextResolve) => {
+    const [prefix, name] = specifier.split('/');
+    if (prefix === 'tiny_gapfill' && name) {
+        return {url: new URL(`${name}.js`, sources).href, format: 'module', shortCircuit: true};
+    }
+    if ((prefix === 'core' || prefix === 'editor_tiny') && name) {
+        const url = new URL(`${prefix}/${name}.mjs`, stubs);
+        if (!existsSync(url)) {
+            throw new Error(`There is no stub for ${specifier}, add one as tests/js/stubs/${prefix}/${name}.mjs`);
+        }
+        return {url: url.href, format: 'module', shortCircuit: true};
+    }
+    if (specifier.startsWith('./') && context.parentURL?.startsWith(sources.href)) {
+        return {url: new URL(`${specifier}.js`, context.parentURL).href, format: 'module', shortCircuit: true};
+    }
+    return nextResolve(specifier, context);
+};
@@ -0,0 +1,36 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Environment of the JavaScript unit tests, loaded before each test file.
+ *
+ * The AMD modules are imported as the ES modules they are written as. A jsdom document stands in
+ * for the question form, and the module names are resolved by loader.mjs: tiny_gapfill/x to
+ * amd/src/x.js and core/x or editor_tiny/x to the stubs in the stubs directory.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {register} from 'node:module';
+import {JSDOM} from 'jsdom';
+
+register('./loader.mjs', import.meta.url);
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {url: 'http://localhost/'});
+['window', 'document', 'Node', 'NodeFilter', 'HTMLElement', 'Event', 'DOMParser'].forEach(name => {
+    globalThis[name] = name === 'window' ? dom.window : dom.window[name];
+});
+globalThis.M = {cfg: {wwwroot: 'http://localhost', contextid: 1}};
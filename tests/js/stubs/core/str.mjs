@@ -0,0 +1,51 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Stub of core/str for the unit tests, giving the English strings of the plugin.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {readFileSync} from 'node:fs';
+
+const lang = readFileSync(new URL('../../../../lang/en/tiny_gapfill.php', import.meta.url), 'utf8');
+const strings = new Map([...lang.matchAll(/^\$string\['([^']+)'\]\s*=\s*'((?:[^'\\]|\\.)*)';/gm)]
+    .map(([, key, value]) => [key, value.replace(/\\(['\\])/g, '$1')]));
+
+/**
+ * Get a string of the plugin with {$a} or {$a->name} filled in, or [key,component] for any other string.
+ * @param {string} key
+ * @param {string} component
+ * @param {string|number|Object} [param]
+ * @returns {Promise<string>}
+ */
+export const get_string = async(key, component, param) => { // eslint-disable-line camelcase
+    if (component !== 'tiny_gapfill' || !strings.has(key)) {
+        return `[${key},${component}]`;
+    }
+    return strings.get(key)
+        .replace(/\{\$a->(\w+)\}/g, (match, name) => param?.[name] ?? match)
+        .replace(/\{\$a\}/g, () => param ?? '{$a}');
+};
+
+/**
+ * Get several strings at once.
+ * @param {Array<{key: string, component: string, param: *}>} requests
+ * @returns {Promise<Array<string>>}
+ */
+export const get_strings = (requests) => Promise.all( // eslint-disable-line camelcase
+    requests.map(({key, component, param}) => get_string(key, component, param)));
@@ -0,0 +1,55 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Stub of editor_tiny/utils for the unit tests.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Get the image of a toolbar button.
+ * @returns {Promise<{html: string}>}
+ */
+export const getButtonImage = () => Promise.resolve({html: '<svg></svg>'});
+
+/**
+ * Get the metadata of a plugin shown in the help dialog.
+ * @returns {Promise<Object>}
+ */
+export const getPluginMetadata = () => Promise.resolve({});
+
+/**
+ * Add buttons to a toolbar section of the editor configuration.
+ * @param {Array<Object>} toolbar
+ * @param {string} section
+ * @param {Array<string>} names
+ * @returns {Array<Object>}
+ */
+export const addToolbarButtons = (toolbar, section, names) => toolbar.map(group => (
+    group.name === section ? {...group, items: [...group.items, ...names]} : group));
+
+/**
+ * Add an item to a menu of the editor configuration.
+ * @param {Object} menu
+ * @param {string} section
+ * @param {string} name
+ * @returns {Object}
+ */
+export const addMenubarItem = (menu, section, name) => (menu[section] ? {
+    ...menu,
+    [section]: {...menu[section], items: `${menu[section].items} ${name}`},
+} : menu);
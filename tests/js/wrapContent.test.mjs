@@ -0,0 +1,181 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests of wrapContent and listGaps, which number the gaps the itemsettings refer to.
+ *
+ * @copyright  2025 Marcus Green
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {setupForm} from './fixtures.mjs';
+import {wrapContent, listGaps} from 'tiny_gapfill/Item';
+import {delimiterPairs} from 'tiny_gapfill/tokenizer';
+
+/**
+ * Wrap the gaps of a question text and describe the result.
+ * @param {Object} form - The question form, see setupForm
+ * @returns {{root: HTMLElement, gaps: Array<{id: string, text: string, className: string}>}}
+ */
+const wrap = (form) => {
+    const root = setupForm(form);
+    wrapContent(root);
+    const gaps = Array.from(root.querySelectorAll('span.item')).map(span => ({
+        id: span.id,
+        text: span.textContent,
+        className: span.className,
+    }));
+    return {root, gaps};
+};
+
+describe('wrapContent', () => {
+    delimiterPairs.forEach(delimitchars => {
+        const [l, r] = delimitchars;
+        it(`wraps the gaps with ${delimitchars} delimiters`, () => {
+            const {root, gaps} = wrap({delimitchars, questiontext: `<p>The ${l}cat${r} sat on the ${l}mat${r}.</p>`});
+            assert.deepEqual(gaps.map(({id, text}) => [id, text]), [['id1_0', `${l}cat${r}`], ['id2_0', `${l}mat${r}`]]);
+            assert.equal(root.textContent, `The ${l}cat${r} sat on the ${l}mat${r}.`);
+        });
+
+        it(`ignores the other delimiters when ${delimitchars} is selected`, () => {
+            const others = delimiterPairs.filter(pair => pair !== delimitchars).map(([a, b]) => `${a}x${b}`).join(' ');
+            const {gaps} = wrap({delimitchars, questiontext: `<p>${others} ${l}cat${r}</p>`});
+            assert.deepEqual(gaps.map(({text}) => text), [`${l}cat${r}`]);
+        });
+    });
+
+    it('uses the default delimiters when none are selected', () => {
+        const root = setupForm({questiontext: '<p>[cat] {dog}</p>'});
+        document.getElementById('id_delimitchars').remove();
+        wrapContent(root);
+        assert.deepEqual(Array.from(root.querySelectorAll('span.item'), span => span.textContent), ['[cat]']);
+    });
+
+    it('numbers repeated gaps by instance', () => {
+        const {gaps} = wrap({questiontext: '<p>[cat] [dog] [cat]</p><p>[cat] [dog]</p>'});
+        assert.deepEqual(gaps.map(({id}) => id), ['id1_0', 'id2_0', 'id3_1', 'id4_2', 'id5_1']);
+    });
+
+    it('counts gaps as repeated only if their text including the delimiters is the same', () => {
+        const {gaps} = wrap({questiontext: '<p>[cat] [Cat] [cat ] [cat]</p>'});
+        assert.deepEqual(gaps.map(({id}) => id), ['id1_0', 'id2_0', 'id3_0', 'id4_1']);
+    });
+
+    it('wraps a gap inside formatting', () => {
+        const {root, gaps} = wrap({questiontext: '<p>The <b>[cat]</b> and <i>the [dog]</i></p>'});
+        assert.deepEqual(gaps.map(({id}) => id), ['id1_0', 'id2_0']);
+        assert.equal(root.querySelector('b > span.item').id, 'id1_0');
+        assert.equal(root.querySelector('i > span.item').id, 'id2_0');
+    });
+
+    it('wraps a gap running across formatting', () => {
+        const {root, gaps} = wrap({questiontext: '<p>The [<b>big</b> <i>cat</i>] sat</p>'});
+        assert.deepEqual(gaps.map(({id, text}) => [id, text]), [['id1_0', '[big cat]']]);
+        const span = root.querySelector('span.item');
+        assert.equal(span.querySelector('b').textContent, 'big');
+        assert.equal(span.querySelector('i').textContent, 'cat');
+        assert.equal(root.textContent, 'The [big cat] sat');
+    });
+
+    it('splits formatting only partly inside a gap', () => {
+        const {root, gaps} = wrap({questiontext: '<p><b>The [ca</b>t] sat</p>'});
+        assert.deepEqual(gaps.map(({text}) => text), ['[cat]']);
+        assert.equal(root.querySelector('span.item b').textContent, '[ca');
+        assert.equal(root.textContent, 'The [cat] sat');
+    });
+
+    it('wraps gaps in nested lists and tables', () => {
+        const {gaps} = wrap({questiontext:
+            '<ul><li>[one]<ul><li><em>[two]</em></li></ul></li></ul><table><tr><td>[one]</td><td>[three]</td></tr></table>'});
+        assert.deepEqual(gaps.map(({id, text}) => [id, text]),
+            [['id1_0', '[one]'], ['id2_0', '[two]'], ['id3_1', '[one]'], ['id4_0', '[three]']]);
+    });
+
+    it('does not find a gap running across blocks or line breaks', () => {
+        const {gaps} = wrap({questiontext: '<p>[ca</p><p>t]</p><p>[do<br>g]</p><div>[ok]</div>'});
+        assert.deepEqual(gaps.map(({text}) => text), ['[ok]']);
+    });
+
+    it('skips text that is not question text', () => {
+        const {gaps} = wrap({questiontext:
+            '<p><button>[no]</button><script>"[no]"</script><select><option>[no]</option></select>[yes]</p>'});
+        assert.deepEqual(gaps.map(({id, text}) => [id, text]), [['id1_0', '[yes]']]);
+    });
+
+    it('marks gaps that have feedback', () => {
+        const {gaps} = wrap({
+            itemsettings: [
+                {gaptext: 'cat', instance: 0, correctfeedback: '<p>Yes</p>', incorrectfeedback: ''},
+                {gaptext: 'dog', instance: 0, correctfeedback: '', incorrectfeedback: 'No'},
+                {gaptext: 'dog', instance: 1, correctfeedback: '<p></p>', incorrectfeedback: ''},
+            ],
+            questiontext: '<p>[cat] [dog] [dog] [bird]</p>',
+        });
+        assert.deepEqual(gaps.map(({className}) => className), [
+            'item gapfill-clickable hascorrect',
+            'item gapfill-clickable hasnocorrect',
+            'item gapfill-clickable',
+            'item gapfill-clickable',
+        ]);
+    });
+
+    it('does not mark a repeated gap without settings with the feedback of the first gap with its text', () => {
+        const {gaps} = wrap({
+            itemsettings: [{gaptext: 'cat', instance: 0, correctfeedback: 'Yes', incorrectfeedback: 'No'}],
+            questiontext: '<p>[cat] [cat]</p>',
+        });
+        assert.deepEqual(gaps.map(({className}) => className),
+            ['item gapfill-clickable hascorrect hasnocorrect', 'item gapfill-clickable']);
+    });
+
+    it('wraps the gaps when the settings are malformed', () => {
+        const {gaps} = wrap({itemsettings: '{"gaptext": "cat"', questiontext: '<p>[cat] [cat]</p>'});
+        assert.deepEqual(gaps.map(({id, className}) => [id, className]),
+            [['id1_0', 'item gapfill-clickable'], ['id2_1', 'item gapfill-clickable']]);
+    });
+
+    it('leaves text without gaps alone', () => {
+        const questiontext = '<p>No gaps [here</p><p>or] here, <b>nor</b> here.</p>';
+        const {root, gaps} = wrap({questiontext});
+        assert.deepEqual(gaps, []);
+        assert.equal(root.innerHTML, questiontext);
+    });
+});
+
+describe('listGaps', () => {
+    it('lists the gaps without changing the question text', () => {
+        const questiontext = '<p>The <b>[cat]</b> and the [dog|hound] and the [cat]</p>';
+        const root = setupForm({questiontext});
+        assert.deepEqual(listGaps(root), [
+            {itemid: 'id1_0', gaptext: '[cat]', answer: 'cat', instance: 0, hascorrect: false, hasincorrect: false},
+            {itemid: 'id2_0', gaptext: '[dog|hound]', answer: 'dog|hound', instance: 0, hascorrect: false, hasincorrect: false},
+            {itemid: 'id3_1', gaptext: '[cat]', answer: 'cat', instance: 1, hascorrect: false, hasincorrect: false},
+        ]);
+        assert.equal(root.innerHTML, questiontext);
+    });
+
+    it('numbers the gaps as wrapContent does when gap mode highlighting and lint marks split the text', () => {
+        const root = setupForm({
+            delimitchars: '{}',
+            itemsettings: [{gaptext: 'dog', instance: 1, correctfeedback: 'Yes'}],
+            questiontext: '<p><span class="gapfill-highlight" data-gapfill="gap">{dog}</span> ' +
+                '{<span class="gapfill-lint gapfill-lint-warning">d</span>og} {cat}</p>',
+        });
+        assert.deepEqual(listGaps(root).map(({itemid, answer, hascorrect}) => [itemid, answer, hascorrect]),
+            [['id1_0', 'dog', false], ['id2_1', 'dog', true], ['id3_0', 'cat', false]]);
+    });
+});